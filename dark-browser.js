@@ -1,14 +1,52 @@
+// 由服务端注入时替换为实际配置 (账号索引、WebSocket 端口)
+const RUNTIME_CONFIG = /* __RUNTIME_CONFIG__ */ {};
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
 const Logger = {
   enabled: true,
-  output(...messages) {
-    if (!this.enabled) return;
+  level: LOG_LEVELS[RUNTIME_CONFIG.logLevel] || LOG_LEVELS.info,
+  // 由 ProxySystem 设置，将日志经 WebSocket 转发到服务端统一输出
+  relay: null,
+  log(level, message, requestId = null) {
+    if (!this.enabled || LOG_LEVELS[level] < this.level) return;
     const timestamp = new Date().toLocaleTimeString('zh-CN', { hour12: false });
-    console.log(`[ProxyClient] ${timestamp}`, ...messages);
-  }
+    const prefix = requestId ? `[ProxyClient] ${timestamp} [${requestId}]` : `[ProxyClient] ${timestamp}`;
+    (console[level] || console.log)(prefix, message);
+    if (this.relay) this.relay(level, message, requestId);
+  },
+  debug(message, requestId) { this.log('debug', message, requestId); },
+  info(message, requestId) { this.log('info', message, requestId); },
+  warn(message, requestId) { this.log('warn', message, requestId); },
+  error(message, requestId) { this.log('error', message, requestId); }
 };
 
+// 请求体与响应体以二进制帧传输: [4 字节大端头部长度][JSON 头部][原始字节]，与服务端 WS_FRAME_SIZE 一致
+const FRAME_SIZE = 1024 * 1024;
+
+function encodeFrame(header, payload) {
+  const head = new TextEncoder().encode(JSON.stringify(header));
+  const frame = new Uint8Array(4 + head.length + payload.length);
+  new DataView(frame.buffer).setUint32(0, head.length);
+  frame.set(head, 4);
+  frame.set(payload, 4 + head.length);
+  return frame;
+}
+
+function decodeFrame(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const length = new DataView(bytes.buffer, bytes.byteOffset).getUint32(0);
+  const header = JSON.parse(new TextDecoder().decode(bytes.subarray(4, 4 + length)));
+  return { ...header, payload: bytes.subarray(4 + length) };
+}
+
+function buildEndpoint() {
+  const base = `ws://127.0.0.1:${RUNTIME_CONFIG.wsPort || 9998}`;
+  return RUNTIME_CONFIG.accountIndex != null ? `${base}?account=${RUNTIME_CONFIG.accountIndex}` : base;
+}
+
 class ConnectionManager extends EventTarget {
-  constructor(endpoint = 'ws://127.0.0.1:9998') {
+  constructor(endpoint = buildEndpoint()) {
     super();
     this.endpoint = endpoint;
     this.socket = null;
@@ -18,21 +56,22 @@ class ConnectionManager extends EventTarget {
   
   async establish() {
     if (this.isConnected) return;
-    Logger.output('连接服务器:', this.endpoint);
+    Logger.info(`连接服务器: ${this.endpoint}`);
     
     return new Promise((resolve) => {
       this.socket = new WebSocket(this.endpoint);
+      this.socket.binaryType = 'arraybuffer';
       
       this.socket.addEventListener('open', () => {
         this.isConnected = true;
-        Logger.output('✅ 连接成功');
+        Logger.info('✅ 连接成功');
         this.dispatchEvent(new CustomEvent('connected'));
         resolve();
       });
       
       this.socket.addEventListener('close', () => {
         this.isConnected = false;
-        Logger.output('❌ 连接断开，5秒后重连...');
+        Logger.warn('❌ 连接断开，5秒后重连...');
         this.dispatchEvent(new CustomEvent('disconnected'));
         setTimeout(() => this.establish(), this.reconnectDelay);
       });
@@ -48,6 +87,53 @@ class ConnectionManager extends EventTarget {
       this.socket.send(JSON.stringify(data));
     }
   }
+
+  // 按 FRAME_SIZE 拆分后以二进制帧发送
+  transmitBinary(header, bytes) {
+    if (!this.isConnected || !this.socket) return;
+    for (let offset = 0; offset < bytes.length; offset += FRAME_SIZE) {
+      this.socket.send(encodeFrame(header, bytes.subarray(offset, offset + FRAME_SIZE)));
+    }
+  }
+}
+
+// 上游返回的非 2xx 响应，保留状态码、响应头和响应体供服务端做故障转移判断
+class UpstreamError extends Error {
+  constructor(status, body, headers) {
+    super(`HTTP ${status}: ${body}`);
+    this.status = status;
+    this.body = body;
+    this.headers = headers;
+  }
+}
+
+// 按请求阶段计时，超时后中止 fetch: connect (收到响应头前)、firstByte (首个响应分片前)、
+// chunk (分片间隔)、total (整个请求)。超时值由服务端随请求下发，0 表示不限制
+class TimeoutGuard {
+  constructor(controller, timeouts = {}) {
+    this.controller = controller;
+    this.timeouts = timeouts;
+    this.timer = null;
+    // 触发超时的阶段，未超时为 null
+    this.expired = null;
+    this.totalTimer = timeouts.total > 0 ? setTimeout(() => this._expire('total'), timeouts.total) : null;
+  }
+
+  enter(phase) {
+    clearTimeout(this.timer);
+    const ms = this.timeouts[phase];
+    this.timer = ms > 0 ? setTimeout(() => this._expire(phase), ms) : null;
+  }
+
+  _expire(phase) {
+    this.expired = phase;
+    this.controller.abort();
+  }
+
+  clear() {
+    clearTimeout(this.timer);
+    clearTimeout(this.totalTimer);
+  }
 }
 
 class RequestProcessor {
@@ -55,21 +141,23 @@ class RequestProcessor {
     this.targetDomain = 'generativelanguage.googleapis.com';
   }
   
-  async execute(requestSpec) {
-    Logger.output(`执行请求: ${requestSpec.method} ${requestSpec.path}`);
+  async execute(requestSpec, signal) {
+    Logger.info(`执行请求: ${requestSpec.method} ${requestSpec.path}`, requestSpec.request_id);
     
     const requestUrl = this._constructUrl(requestSpec);
     const config = this._buildRequestConfig(requestSpec);
     
     try {
-      const response = await fetch(requestUrl, config);
+      const response = await fetch(requestUrl, { ...config, signal });
       if (!response.ok) {
         const txt = await response.text();
-        throw new Error(`HTTP ${response.status}: ${txt}`);
+        const headers = {};
+        response.headers.forEach((v, k) => headers[k] = v);
+        throw new UpstreamError(response.status, txt, headers);
       }
       return response;
     } catch (error) {
-      Logger.output('❌ 请求失败:', error.message);
+      if (error.name !== 'AbortError') Logger.error(`❌ 请求失败: ${error.message}`, requestSpec.request_id);
       throw error;
     }
   }
@@ -80,7 +168,7 @@ class RequestProcessor {
     const queryParams = new URLSearchParams(requestSpec.query_params);
 
     if (requestSpec.streaming_mode === 'fake') {
-      Logger.output('🔧 [Fake模式] 正在修改 URL 参数以禁用原生流式...');
+      Logger.debug('🔧 [Fake模式] 正在修改 URL 参数以禁用原生流式...', requestSpec.request_id);
       
       // 1. 降级 API 路径：从流式接口改为普通接口
       if (pathSegment.includes(':streamGenerateContent')) {
@@ -103,13 +191,9 @@ class RequestProcessor {
       headers: this._sanitizeHeaders(requestSpec.headers)
     };
     
-    if (['POST', 'PUT', 'PATCH'].includes(requestSpec.method) && requestSpec.body) {
-      // 尝试解析并重新序列化 JSON，确保格式正确
-      try {
-        config.body = JSON.stringify(JSON.parse(requestSpec.body));
-      } catch (e) {
-        config.body = requestSpec.body;
-      }
+    // 请求体为服务端转发的原始字节，原样发送
+    if (['POST', 'PUT', 'PATCH'].includes(requestSpec.method) && requestSpec.body && requestSpec.body.length) {
+      config.body = requestSpec.body;
     }
     return config;
   }
@@ -127,69 +211,143 @@ class ProxySystem {
   constructor() {
     this.connectionManager = new ConnectionManager();
     this.processor = new RequestProcessor();
+    // request_id -> 等待请求体分帧到齐的请求 { spec, parts, received }
+    this.pending = new Map();
+    // request_id -> 进行中请求的 AbortController
+    this.controllers = new Map();
+    Logger.relay = (level, message, requestId) => this.connectionManager.transmit({
+      event_type: 'log', level, message, request_id: requestId || undefined
+    });
     
     this.connectionManager.addEventListener('message', (e) => this.handleMessage(e.detail));
-    this.connectionManager.addEventListener('disconnected', () => {}); // 可以添加额外的清理逻辑
+    // 断线后未收齐的请求体不会再有后续分帧，进行中的请求也无人接收结果，一并中止
+    this.connectionManager.addEventListener('disconnected', () => {
+      this.pending.clear();
+      this.controllers.forEach(controller => controller.abort());
+    });
     this.connectionManager.establish();
   }
   
-  async handleMessage(jsonStr) {
-    let req = {};
+  // 文本消息为请求头，二进制消息为请求体分帧；请求体到齐后再执行
+  handleMessage(data) {
+    if (typeof data === 'string') {
+      const spec = JSON.parse(data);
+      if (spec.event_type === 'cancel') return this.cancel(spec.request_id);
+      if (!spec.body_size) return this.execute({ ...spec, body: null });
+      this.pending.set(spec.request_id, { spec, parts: [], received: 0 });
+      return;
+    }
+    const frame = decodeFrame(data);
+    const entry = this.pending.get(frame.request_id);
+    if (!entry) return;
+    entry.parts.push(frame.payload);
+    entry.received += frame.payload.length;
+    if (entry.received < entry.spec.body_size) return;
+
+    this.pending.delete(frame.request_id);
+    const body = new Uint8Array(entry.received);
+    let offset = 0;
+    entry.parts.forEach(part => { body.set(part, offset); offset += part.length; });
+    Logger.debug(`请求体接收完成 (${body.length} 字节, ${entry.parts.length} 帧)`, frame.request_id);
+    this.execute({ ...entry.spec, body });
+  }
+
+  // 客户端已断开：中止上游请求 (或丢弃尚未收齐的请求体)，不再消耗配额
+  cancel(requestId) {
+    this.pending.delete(requestId);
+    const controller = this.controllers.get(requestId);
+    if (!controller) return;
+    Logger.info('⏹️ 客户端已断开，中止请求', requestId);
+    controller.abort();
+  }
+
+  async execute(req) {
+    const controller = new AbortController();
+    const guard = new TimeoutGuard(controller, req.timeouts);
+    this.controllers.set(req.request_id, controller);
+    // 重试沿用同一个 request_id，回传的每条消息都带上尝试序号，服务端据此丢弃已放弃尝试的消息
+    const tag = { request_id: req.request_id, attempt: req.attempt };
     try {
-      req = JSON.parse(jsonStr);
       const opId = req.request_id;
       const mode = req.streaming_mode || 'fake';
 
-      const response = await this.processor.execute(req);
+      guard.enter('connect');
+      const response = await this.processor.execute(req, controller.signal);
+      guard.enter('firstByte');
       
       // 1. 发送响应头
       const headers = {};
       response.headers.forEach((v, k) => headers[k] = v);
       this.connectionManager.transmit({
-        request_id: opId,
+        ...tag,
         event_type: 'response_headers',
         status: response.status,
         headers: headers
       });
 
-      // 2. 处理响应体
+      // 2. 处理响应体：以原始字节分帧发送，由服务端负责解码
+      const reader = response.body.getReader();
       if (mode === 'real') {
         // 真流式：逐块读取并发送
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
         while(true) {
           const {done, value} = await reader.read();
           if(done) break;
-          this.connectionManager.transmit({
-            request_id: opId,
-            event_type: 'chunk',
-            data: decoder.decode(value, {stream: true})
-          });
+          guard.enter('chunk');
+          this.connectionManager.transmitBinary({ ...tag, event_type: 'chunk' }, value);
         }
       } else {
-        // 假流式：一次性读取完整内容 (await text())，确保拿到完整数据后再发送
+        // 假流式：读取完整内容后一次性发送，确保拿到完整数据后再发送
         // 这样浏览器端虽然等待时间略长，但不会因为网络波动导致流中断
-        const text = await response.text();
-        this.connectionManager.transmit({
-          request_id: opId,
-          event_type: 'chunk',
-          data: text
-        });
+        const parts = [];
+        let length = 0;
+        while(true) {
+          const {done, value} = await reader.read();
+          if(done) break;
+          guard.enter('chunk');
+          parts.push(value);
+          length += value.length;
+        }
+        const body = new Uint8Array(length);
+        let offset = 0;
+        parts.forEach(part => { body.set(part, offset); offset += part.length; });
+        this.connectionManager.transmitBinary({ ...tag, event_type: 'chunk' }, body);
       }
 
       // 3. 发送结束信号
-      this.connectionManager.transmit({ request_id: opId, event_type: 'stream_close' });
-      Logger.output('✅ 任务完成');
+      this.connectionManager.transmit({ ...tag, event_type: 'stream_close' });
+      Logger.info('✅ 任务完成', opId);
 
     } catch (error) {
+      if (guard.expired) {
+        const ms = guard.timeouts[guard.expired];
+        Logger.warn(`⏱️ 请求超时 (${guard.expired}, ${ms}ms)，已中止`, req.request_id);
+        this.connectionManager.transmit({
+          ...tag,
+          event_type: 'error',
+          status: 504,
+          timeout: guard.expired,
+          message: `${guard.expired} timeout after ${ms}ms`
+        });
+        return;
+      }
+      // 已被中止的请求服务端不再等待结果
+      if (controller.signal.aborted) return;
       if(req.request_id) {
+        const upstream = error instanceof UpstreamError;
         this.connectionManager.transmit({
-            request_id: req.request_id,
+            ...tag,
             event_type: 'error',
-            status: 500,
-            message: error.message
+            status: upstream ? error.status : 500,
+            upstream,
+            message: error.message,
+            body: upstream ? error.body : undefined,
+            headers: upstream ? error.headers : undefined
         });
       }
+    } finally {
+      guard.clear();
+      // 重试发往同一连接时 controllers 中已是新尝试的 controller，不能删除
+      if (this.controllers.get(req.request_id) === controller) this.controllers.delete(req.request_id);
     }
   }
 }
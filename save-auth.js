@@ -1,12 +1,91 @@
 const { firefox } = require('playwright');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { AuthSource, AuthCipher } = require('./unified-server');
 
 // --- 配置常量 ---
-const browserExecutablePath = path.join(__dirname, 'camoufox', 'camoufox.exe');
-const VALIDATION_LINE_THRESHOLD = 200; // 定义验证的行数阈值
 const AUTH_DIR = 'auth'; // 格式化认证文件的文件夹
 const SINGLE_LINE_AUTH_DIR = 'single-line-auth'; // 单行认证文件的文件夹
+const AI_STUDIO_URL = 'https://aistudio.google.com/u/0/prompts/new_chat';
+const FORMATS = ['pretty', 'single-line', 'env'];
+const IF_EXISTS_MODES = ['abort', 'overwrite', 'rename'];
+
+const USAGE = `用法:
+  node save-auth.js [选项]                 打开浏览器登录 Google 账号并保存认证文件
+  node save-auth.js import <文件> [选项]   将浏览器插件或 cookies.txt 导出的 cookie 转换为认证文件
+  node save-auth.js encrypt [--key-file]   将 auth/ 与 single-line-auth/ 下已有的明文认证文件原地加密
+
+选项:
+  --executable <路径>    Camoufox 可执行文件路径 (默认读取 CAMOUFOX_EXECUTABLE_PATH，否则按平台使用项目内的 camoufox)
+  --index <N>            保存为 auth-N.json (默认使用下一个可用索引)
+  --if-exists <模式>     目标文件已存在时: abort 放弃 (默认) / overwrite 覆盖 / rename 将原文件重命名为备份后写入
+  --format <格式>        输出格式，可用逗号组合: pretty 格式化 JSON / single-line 单行 JSON /
+                         env 可直接使用的 AUTH_JSON_N=<base64> 环境变量行 (默认 pretty,single-line)
+  --wait <方式>          enter 登录后在终端按回车 (默认) / login 自动检测 AI Studio 加载完成
+  --timeout <秒>         --wait login 时的最长等待时间 (默认 300)
+  --key-file <路径>      加密用的密钥文件 (默认读取 AUTH_KEY_FILE)。也可以通过 AUTH_PASSPHRASE 环境变量提供口令，
+                         设置任一项后输出的认证文件均会加密，服务端需使用相同的口令或密钥文件
+  -h, --help             显示帮助`;
+
+/**
+ * 解析命令行参数。
+ * @param {string[]} argv - 去掉 node 与脚本路径后的参数。
+ * @returns {object} - 解析后的选项。
+ */
+function parseArgs(argv) {
+  const options = {
+    command: 'login', input: null, executable: null, index: null, ifExists: 'abort',
+    formats: ['pretty', 'single-line'], wait: 'enter', timeout: 300,
+    keyFile: process.env.AUTH_KEY_FILE || null
+  };
+  const args = [...argv];
+  if (args[0] === 'import') {
+    options.command = 'import';
+    args.shift();
+    options.input = args[0] && !args[0].startsWith('-') ? args.shift() : null;
+    if (!options.input) throw new Error('import 需要指定 cookie 文件');
+  } else if (args[0] === 'encrypt') {
+    options.command = 'encrypt';
+    args.shift();
+  }
+  while (args.length) {
+    const arg = args.shift();
+    const value = () => {
+      if (!args.length) throw new Error(`${arg} 缺少参数值`);
+      return args.shift();
+    };
+    switch (arg) {
+      case '-h': case '--help': options.command = 'help'; break;
+      case '--executable': options.executable = value(); break;
+      case '--index': options.index = parseInt(value(), 10); break;
+      case '--if-exists': options.ifExists = value(); break;
+      case '--format': options.formats = value().split(',').map(f => f.trim()); break;
+      case '--wait': options.wait = value(); break;
+      case '--timeout': options.timeout = parseInt(value(), 10); break;
+      case '--key-file': options.keyFile = value(); break;
+      default: throw new Error(`未知参数: ${arg}`);
+    }
+  }
+  if (options.index !== null && !(Number.isInteger(options.index) && options.index > 0)) throw new Error('--index 应为正整数');
+  if (!IF_EXISTS_MODES.includes(options.ifExists)) throw new Error(`--if-exists 只能是 ${IF_EXISTS_MODES.join(' / ')}`);
+  const unknown = options.formats.filter(f => !FORMATS.includes(f));
+  if (unknown.length) throw new Error(`未知的输出格式: ${unknown.join(', ')} (可选 ${FORMATS.join(' / ')})`);
+  if (!['enter', 'login'].includes(options.wait)) throw new Error('--wait 只能是 enter / login');
+  if (!(options.timeout > 0)) throw new Error('--timeout 应为正整数');
+  return options;
+}
+
+/**
+ * 按平台确定默认的 Camoufox 路径，与服务端保持一致。
+ * @returns {string} - 可执行文件路径。
+ */
+function defaultExecutablePath() {
+  if (process.env.CAMOUFOX_EXECUTABLE_PATH) return process.env.CAMOUFOX_EXECUTABLE_PATH;
+  return os.platform() === 'win32'
+    ? path.join(__dirname, 'camoufox', 'camoufox.exe')
+    : path.join(__dirname, 'camoufox-linux', 'camoufox');
+}
 
 /**
  * 确保指定的目录存在，如果不存在则创建它。
@@ -25,7 +104,7 @@ function ensureDirectoryExists(dirPath) {
  */
 function getNextAuthIndex() {
   const directory = path.join(__dirname, AUTH_DIR);
-  
+
   if (!fs.existsSync(directory)) {
     return 1;
   }
@@ -46,66 +125,281 @@ function getNextAuthIndex() {
   return maxIndex + 1;
 }
 
-(async () => {
-  const authDirPath = path.join(__dirname, AUTH_DIR);
-  const singleLineAuthDirPath = path.join(__dirname, SINGLE_LINE_AUTH_DIR);
-  ensureDirectoryExists(authDirPath);
-  ensureDirectoryExists(singleLineAuthDirPath);
+/**
+ * 将浏览器插件导出的 sameSite 取值转换为 Playwright 接受的取值。
+ * @param {string} value - 原始取值 (no_restriction / lax / strict / unspecified 等)。
+ * @returns {string} - Lax、Strict 或 None。
+ */
+function normalizeSameSite(value) {
+  const v = String(value || '').toLowerCase();
+  if (v === 'lax') return 'Lax';
+  if (v === 'strict') return 'Strict';
+  return 'None';
+}
+
+/**
+ * 将 cookie 导出内容转换为 storageState。支持:
+ * storageState 本身、EditThisCookie / Cookie-Editor 导出的 JSON 数组、Netscape 格式的 cookies.txt。
+ * @param {string} text - 导出文件的内容。
+ * @returns {{cookies: object[], origins: object[]}} - storageState。
+ */
+function cookiesToStorageState(text) {
+  let parsed = null;
+  try { parsed = JSON.parse(text); } catch (e) {}
+
+  let cookies;
+  if (parsed && Array.isArray(parsed.cookies)) {
+    cookies = parsed.cookies;
+  } else if (Array.isArray(parsed)) {
+    cookies = parsed.map(c => ({
+      name: c.name,
+      value: c.value,
+      domain: c.domain,
+      path: c.path || '/',
+      expires: c.session || !c.expirationDate ? -1 : Math.floor(c.expirationDate),
+      httpOnly: !!c.httpOnly,
+      secure: !!c.secure,
+      sameSite: normalizeSameSite(c.sameSite)
+    }));
+  } else {
+    // Netscape cookies.txt: domain, includeSubdomains, path, secure, expiry, name, value (制表符分隔)
+    cookies = text.split(/\r?\n/).filter(line => line.trim() && (!line.startsWith('#') || line.startsWith('#HttpOnly_'))).map(line => {
+      const httpOnly = line.startsWith('#HttpOnly_');
+      const [domain, , cookiePath, secure, expires, name, value = ''] = line.replace(/^#HttpOnly_/, '').split('\t');
+      return {
+        name, value, domain, path: cookiePath || '/',
+        expires: parseInt(expires, 10) > 0 ? parseInt(expires, 10) : -1,
+        httpOnly, secure: secure === 'TRUE', sameSite: 'None'
+      };
+    }).filter(c => c.name && c.domain);
+  }
+  return { cookies, origins: parsed && Array.isArray(parsed.origins) ? parsed.origins : [] };
+}
+
+/**
+ * 等待用户在浏览器中完成登录：页面停留在 AI Studio 且 Google 会话 cookie 齐全。
+ * @param {import('playwright').Page} page - 当前页面。
+ * @param {import('playwright').BrowserContext} context - 浏览器上下文。
+ * @param {number} timeoutMs - 最长等待时间。
+ * @returns {Promise<boolean>} - 是否检测到登录完成。
+ */
+async function waitForLogin(page, context, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (/^https:\/\/aistudio\.google\.com\//.test(page.url())) {
+      const session = AuthSource.inspectSession(await context.storageState());
+      if (session.status === 'valid' || session.status === 'expiring') {
+        // 给页面留出写入剩余 cookie 与 localStorage 的时间
+        await page.waitForTimeout(3000);
+        return true;
+      }
+    }
+    await page.waitForTimeout(2000);
+  }
+  return false;
+}
+
+/**
+ * 通过浏览器登录获取 storageState。
+ * @param {object} options - 命令行选项。
+ * @returns {Promise<object|null>} - storageState，未检测到登录时返回 null。
+ */
+async function captureFromBrowser(options) {
+  const executablePath = options.executable || defaultExecutablePath();
+  if (!fs.existsSync(executablePath)) throw new Error(`找不到浏览器可执行文件 ${executablePath}，请使用 --executable 指定`);
+  console.log(`▶️  启动浏览器: ${executablePath}`);
+
+  const browser = await firefox.launch({ headless: false, executablePath });
+  try {
+    const context = await browser.newContext();
+    const page = await context.newPage();
+
+    console.log('\n--- 请在新打开的 Camoufox 窗口中完成以下操作 ---');
+    console.log('1. 浏览器将打开 Google AI Studio，请在弹出的页面中【完全登录】您的Google账户。');
+    if (options.wait === 'login') {
+      console.log(`2. 登录完成并进入 AI Studio 后将自动保存 (最长等待 ${options.timeout} 秒)。`);
+    } else {
+      console.log('2. 登录成功并看到 AI Studio 界面后，请不要关闭浏览器窗口。');
+      console.log('3. 回到这个终端，然后按 "Enter" 键继续...');
+    }
+
+    await page.goto(AI_STUDIO_URL);
+
+    if (options.wait === 'login') {
+      if (!await waitForLogin(page, context, options.timeout * 1000)) {
+        console.log('❌ 等待登录超时。');
+        return null;
+      }
+      console.log('✅ 检测到已登录 AI Studio。');
+    } else {
+      await new Promise(resolve => process.stdin.once('data', resolve));
+    }
+    return await context.storageState();
+  } finally {
+    await browser.close();
+    console.log('\n浏览器已关闭。');
+  }
+}
+
+/**
+ * 确定目标索引，目标文件已存在且未允许覆盖时报错。
+ * @param {object} options - 命令行选项。
+ * @returns {number} - 目标索引。
+ */
+function resolveTargetIndex(options) {
+  const index = options.index ?? getNextAuthIndex();
+  if (options.ifExists === 'abort' && fs.existsSync(path.join(__dirname, AUTH_DIR, `auth-${index}.json`))) {
+    throw new Error(`${path.join(AUTH_DIR, `auth-${index}.json`)} 已存在，可使用 --if-exists overwrite 或 rename`);
+  }
+  return index;
+}
+
+/**
+ * 按选择的格式写出认证文件。
+ * @param {object} state - storageState。
+ * @param {number} index - 账号索引。
+ * @param {object} options - 命令行选项。
+ */
+function writeOutputs(state, index, { formats, ifExists }, cipher) {
+  const payload = cipher ? cipher.encrypt(state) : state;
+  if (formats.includes('pretty')) {
+    const authDirPath = path.join(__dirname, AUTH_DIR);
+    const target = path.join(authDirPath, `auth-${index}.json`);
+    ensureDirectoryExists(authDirPath);
+    if (ifExists === 'rename' && fs.existsSync(target)) {
+      const backup = `${target}.${new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)}.bak`;
+      fs.renameSync(target, backup);
+      console.log(`   📦 原文件已重命名为: ${path.join(AUTH_DIR, path.basename(backup))}`);
+    }
+    fs.writeFileSync(target, JSON.stringify(payload, null, 2));
+    console.log(`   📄 格式化文件已保存到: ${path.join(AUTH_DIR, `auth-${index}.json`)}`);
+  }
+  if (formats.includes('single-line') || formats.includes('env')) {
+    ensureDirectoryExists(path.join(__dirname, SINGLE_LINE_AUTH_DIR));
+  }
+  if (formats.includes('single-line')) {
+    const fileName = `auth-single-${index}.json`;
+    fs.writeFileSync(path.join(__dirname, SINGLE_LINE_AUTH_DIR, fileName), JSON.stringify(payload));
+    console.log(`    compressed -> 压缩文件已保存到: ${path.join(SINGLE_LINE_AUTH_DIR, fileName)}`);
+  }
+  if (formats.includes('env')) {
+    const fileName = `auth-${index}.env`;
+    const line = `AUTH_JSON_${index}=${Buffer.from(JSON.stringify(payload)).toString('base64')}`;
+    fs.writeFileSync(path.join(__dirname, SINGLE_LINE_AUTH_DIR, fileName), line + '\n');
+    console.log(`   🔐 环境变量行已保存到: ${path.join(SINGLE_LINE_AUTH_DIR, fileName)}`);
+    console.log(line);
+  }
+}
 
-  const newIndex = getNextAuthIndex();
-  const newAuthFileName = `auth-${newIndex}.json`;
-  const newSingleLineAuthFileName = `auth-single-${newIndex}.json`;
+/**
+ * 将 auth/ 与 single-line-auth/ 下的明文认证文件 (包括 .bak 备份和 .env 文件) 原地加密，
+ * 并为当前环境中的 AUTH_JSON_N 变量输出加密后的替换行。
+ * @param {AuthCipher} cipher - 加密器。
+ */
+function encryptExistingFiles(cipher) {
+  let migrated = 0;
+  for (const dir of [AUTH_DIR, SINGLE_LINE_AUTH_DIR]) {
+    const dirPath = path.join(__dirname, dir);
+    if (!fs.existsSync(dirPath)) continue;
+    for (const file of fs.readdirSync(dirPath)) {
+      if (!/^auth-(single-)?\d+\.(json|env)/.test(file) || file.endsWith('.tmp')) continue;
+      const filePath = path.join(dirPath, file);
+      const text = fs.readFileSync(filePath, 'utf-8').trim();
+      const envLine = text.match(/^(AUTH_JSON_\d+)=(.*)$/s);
+      let state;
+      try {
+        state = JSON.parse(envLine ? decodeEnvValue(envLine[2]) : text);
+      } catch (e) {
+        console.log(`   ⚠️  跳过无法解析的文件: ${path.join(dir, file)}`);
+        continue;
+      }
+      if (AuthCipher.isEncrypted(state)) continue;
 
-  console.log(`▶️  准备为账户 #${newIndex} 创建新的认证文件...`);
-  console.log(`▶️  启动浏览器: ${browserExecutablePath}`);
+      const envelope = cipher.encrypt(state);
+      const output = envLine
+        ? `${envLine[1]}=${Buffer.from(JSON.stringify(envelope)).toString('base64')}\n`
+        : JSON.stringify(envelope, null, dir === AUTH_DIR ? 2 : undefined);
+      fs.writeFileSync(`${filePath}.tmp`, output);
+      fs.renameSync(`${filePath}.tmp`, filePath);
+      console.log(`   🔒 已加密: ${path.join(dir, file)}`);
+      migrated++;
+    }
+  }
+  console.log(`✅ 文件迁移完成，共加密 ${migrated} 个文件。`);
 
-  const browser = await firefox.launch({
-    headless: false,
-    executablePath: browserExecutablePath,
+  // 环境变量无法原地修改，输出替换用的加密行
+  const envKeys = Object.keys(process.env).filter(key => /^AUTH_JSON_\d+$/.test(key));
+  const plainKeys = envKeys.filter(key => {
+    try { return !AuthCipher.isEncrypted(JSON.parse(decodeEnvValue(process.env[key]))); } catch (e) { return false; }
   });
+  if (plainKeys.length) {
+    console.log('\n请用以下内容替换部署环境中的明文认证环境变量:');
+    plainKeys.forEach(key => {
+      const envelope = cipher.encrypt(JSON.parse(decodeEnvValue(process.env[key])));
+      console.log(`${key}=${Buffer.from(JSON.stringify(envelope)).toString('base64')}`);
+    });
+  }
+}
 
-  const context = await browser.newContext();
-  const page = await context.newPage();
-
-  console.log('\n--- 请在新打开的 Camoufox 窗口中完成以下操作 ---');
-  console.log('1. 浏览器将打开 Google AI Studio，请在弹出的页面中【完全登录】您的Google账户。');
-  console.log('2. 登录成功并看到 AI Studio 界面后，请不要关闭浏览器窗口。');
-  console.log('3. 回到这个终端，然后按 "Enter" 键继续...');
-
-  // <<< 这是唯一的修改点：已更新为 Google AI Studio 地址 >>>
-  await page.goto('https://aistudio.google.com/u/0/prompts/new_chat');
-
-  await new Promise(resolve => process.stdin.once('data', resolve));
-
-  // ==================== 智能验证与双文件保存逻辑 ====================
-  console.log('\n正在获取并验证登录状态...');
-  
-  const currentState = await context.storageState();
-  const prettyStateString = JSON.stringify(currentState, null, 2);
-  const lineCount = prettyStateString.split('\n').length;
-
-  if (lineCount > VALIDATION_LINE_THRESHOLD) {
-    console.log(`✅ 状态验证通过 (${lineCount} 行 > ${VALIDATION_LINE_THRESHOLD} 行).`);
-    
-    const singleLineStateString = JSON.stringify(currentState);
-    const prettyAuthFilePath = path.join(authDirPath, newAuthFileName);
-    const singleLineAuthFilePath = path.join(singleLineAuthDirPath, newSingleLineAuthFileName);
-    
-    fs.writeFileSync(prettyAuthFilePath, prettyStateString);
-    console.log(`   📄 格式化文件已保存到: ${path.join(AUTH_DIR, newAuthFileName)}`);
-    
-    fs.writeFileSync(singleLineAuthFilePath, singleLineStateString);
-    console.log(`    compressed -> 压缩文件已保存到: ${path.join(SINGLE_LINE_AUTH_DIR, newSingleLineAuthFileName)}`);
+/**
+ * 解码 AUTH_JSON_N 的取值，兼容 JSON 原文与 base64 两种写法。
+ * @param {string} value - 环境变量取值。
+ * @returns {string} - JSON 文本。
+ */
+function decodeEnvValue(value) {
+  const trimmed = value.trim();
+  return trimmed.startsWith('{') ? trimmed : Buffer.from(trimmed, 'base64').toString('utf-8');
+}
 
-  } else {
-    console.log(`❌ 状态验证失败 (${lineCount} 行 <= ${VALIDATION_LINE_THRESHOLD} 行).`);
-    console.log('   登录状态似乎为空或无效，文件未被保存。');
-    console.log('   请确保您已完全登录账户后再按回车。');
-  }
-  // ===================================================================
-  
-  await browser.close();
-  console.log('\n浏览器已关闭。');
+(async () => {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(`❌ ${e.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+  if (options.command === 'help') {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  try {
+    const cipher = AuthCipher.fromOptions({ passphrase: process.env.AUTH_PASSPHRASE, keyFile: options.keyFile });
+    if (options.command === 'encrypt') {
+      if (!cipher) throw new Error('请先设置 AUTH_PASSPHRASE 环境变量或使用 --key-file 指定密钥文件');
+      encryptExistingFiles(cipher);
+      process.exit(0);
+    }
+
+    const newIndex = resolveTargetIndex(options);
+    console.log(`▶️  准备为账户 #${newIndex} 创建新的认证文件...`);
+
+    const currentState = options.command === 'import'
+      ? cookiesToStorageState(fs.readFileSync(options.input, 'utf-8'))
+      : await captureFromBrowser(options);
+    if (!currentState) process.exit(1);
+
+    // ==================== 验证与保存逻辑 ====================
+    console.log('\n正在验证登录状态...');
+    // 检查 Google 会话 cookie 是否齐全且未过期
+    const session = AuthSource.inspectSession(currentState);
+
+    if (session.status === 'valid' || session.status === 'expiring') {
+      console.log(`✅ 状态验证通过 (${session.message}).`);
+      if (cipher) console.log('🔒 已启用加密，认证文件将以 AES-256-GCM 加密保存。');
+      writeOutputs(currentState, newIndex, options, cipher);
+    } else {
+      console.log(`❌ 状态验证失败 (${session.message}).`);
+      console.log('   登录状态似乎为空或无效，文件未被保存。');
+      console.log('   请确保您已完全登录账户后再保存。');
+      process.exit(1);
+    }
+    // ===================================================================
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
 
   process.exit(0);
 })();
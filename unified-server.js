@@ -1,21 +1,100 @@
 const express = require('express');
 const WebSocket = require('ws');
 const http = require('http');
+const net = require('net');
 const { EventEmitter } = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
+const { StringDecoder } = require('string_decoder');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { firefox } = require('playwright');
 const os = require('os');
 
 // ===================================================================================
 // 认证源管理模块
 // ===================================================================================
+// 构成 Google 登录会话的核心 cookie，缺少任意一个 AI Studio 都会跳转到登录页
+const GOOGLE_SESSION_COOKIES = ['SID', 'HSID', 'SSID', 'APISID', 'SAPISID'];
+
+// 账号认证失效 (cookie 过期或被重定向到登录页)，需要重新运行 save-auth.js
+class AuthRequiredError extends Error {
+  constructor(authIndex, reason) {
+    super(`账号 #${authIndex} 需要重新登录: ${reason}`);
+    this.code = 'AUTH_REQUIRED';
+    this.authIndex = authIndex;
+    this.reason = reason;
+  }
+}
+
+// 认证文件静态加密: AES-256-GCM，密钥由口令 (AUTH_PASSPHRASE) 或密钥文件内容经 scrypt 派生。
+// 加密后的文件仍是 JSON: { encrypted, kdf, salt, iv, tag, data }，其中二进制字段为 base64
+const AUTH_CIPHER_ALGORITHM = 'aes-256-gcm';
+
+class AuthCipher {
+  constructor(secret) {
+    this.secret = secret;
+    // 本进程加密时复用同一个 salt，每次加密使用随机 iv
+    this.salt = crypto.randomBytes(16);
+    // salt -> 派生密钥，避免仪表盘刷新健康状态时反复执行 scrypt
+    this.keys = new Map();
+  }
+
+  // 密钥文件优先于口令；都未设置时返回 null，表示不加密
+  static fromOptions({ passphrase, keyFile } = {}) {
+    if (keyFile) {
+      const secret = fs.readFileSync(keyFile);
+      if (!secret.length) throw new Error(`密钥文件 ${keyFile} 为空`);
+      return new AuthCipher(secret);
+    }
+    return passphrase ? new AuthCipher(passphrase) : null;
+  }
+
+  static isEncrypted(data) {
+    return !!data && typeof data === 'object' && data.encrypted === AUTH_CIPHER_ALGORITHM;
+  }
+
+  _key(salt) {
+    const id = salt.toString('base64');
+    if (!this.keys.has(id)) this.keys.set(id, crypto.scryptSync(this.secret, salt, 32));
+    return this.keys.get(id);
+  }
+
+  encrypt(state) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(AUTH_CIPHER_ALGORITHM, this._key(this.salt), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(state), 'utf-8'), cipher.final()]);
+    return {
+      encrypted: AUTH_CIPHER_ALGORITHM, kdf: 'scrypt',
+      salt: this.salt.toString('base64'), iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64')
+    };
+  }
+
+  decrypt(envelope) {
+    let text;
+    try {
+      const decipher = crypto.createDecipheriv(AUTH_CIPHER_ALGORITHM, this._key(Buffer.from(envelope.salt, 'base64')), Buffer.from(envelope.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+      text = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]).toString('utf-8');
+    } catch (e) {
+      throw new Error('解密失败，口令或密钥文件不正确');
+    }
+    return JSON.parse(text);
+  }
+}
+
 class AuthSource {
-  constructor(logger) {
+  constructor(logger, cipher = null) {
     this.logger = logger;
+    this.cipher = cipher;
     this.authMode = 'file';
     this.initialIndices = [];
     this.runtimeAuths = new Map();
+    // 环境变量模式下运行期间刷新的 storageState (无法写回环境变量，保存在内存中供导出)
+    this.refreshedAuths = new Map();
+    // 账号索引 -> 最近一次写回 storageState 的时间
+    this.refreshedAt = new Map();
 
     if (process.env.AUTH_JSON_1) {
       this.authMode = 'env';
@@ -23,6 +102,7 @@ class AuthSource {
     } else {
       this.logger.info('[认证] 使用文件认证模式。');
     }
+    if (cipher) this.logger.info('[认证] 已启用认证文件加密，写回的 storageState 将加密保存。');
     this._discoverAvailableIndices();
   }
 
@@ -54,25 +134,72 @@ class AuthSource {
   getAccountDetails() {
     return this.getAvailableIndices().map(index => ({
       index,
-      source: this.runtimeAuths.has(index) ? 'temporary' : this.authMode
+      source: this.runtimeAuths.has(index) ? 'temporary' : this.authMode,
+      refreshedAt: this.refreshedAt.get(index) || null
     }));
   }
 
+  getNextIndex() {
+    const indices = this.getAvailableIndices();
+    return indices.length ? indices[indices.length - 1] + 1 : 1;
+  }
+
   getFirstAvailableIndex() {
     const indices = this.getAvailableIndices();
     return indices.length > 0 ? indices[0] : null;
   }
 
+  // 读取账号认证数据的原始文本，不存在时返回 undefined
+  // 环境变量既可以是 JSON，也可以是 save-auth.js --format env 生成的 base64
+  _readAuthText(index) {
+    if (this.authMode === 'env') {
+      const value = (process.env[`AUTH_JSON_${index}`] || '').trim();
+      if (!value || value.startsWith('{')) return value || undefined;
+      return Buffer.from(value, 'base64').toString('utf-8');
+    }
+    const p = path.join(__dirname, 'auth', `auth-${index}.json`);
+    return fs.existsSync(p) ? fs.readFileSync(p, 'utf-8') : undefined;
+  }
+
   getAuth(index) {
     if (this.runtimeAuths.has(index)) return this.runtimeAuths.get(index);
-    let jsonString;
-    if (this.authMode === 'env') {
-      jsonString = process.env[`AUTH_JSON_${index}`];
+    if (this.refreshedAuths.has(index)) return this.refreshedAuths.get(index);
+    const jsonString = this._readAuthText(index);
+    try { return jsonString ? this._parseAuthText(jsonString) : null; } catch (e) { return null; }
+  }
+
+  // 解析认证文本，加密格式透明解密
+  _parseAuthText(text) {
+    const data = JSON.parse(text);
+    if (!AuthCipher.isEncrypted(data)) return data;
+    if (!this.cipher) throw new Error('已加密，但未设置 AUTH_PASSPHRASE 或 authKeyFile');
+    return this.cipher.decrypt(data);
+  }
+
+  _serializeAuth(state) {
+    return JSON.stringify(this.cipher ? this.cipher.encrypt(state) : state, null, 2);
+  }
+
+  // 写回浏览器运行后更新的 storageState。文件模式下先备份为 .bak 再原子替换
+  saveAuth(index, state) {
+    if (this.runtimeAuths.has(index)) {
+      this.runtimeAuths.set(index, state);
+    } else if (this.authMode === 'env') {
+      this.refreshedAuths.set(index, state);
     } else {
       const p = path.join(__dirname, 'auth', `auth-${index}.json`);
-      if (fs.existsSync(p)) jsonString = fs.readFileSync(p, 'utf-8');
+      const tmp = `${p}.tmp`;
+      try {
+        fs.writeFileSync(tmp, this._serializeAuth(state));
+        if (fs.existsSync(p)) fs.copyFileSync(p, `${p}.bak`);
+        fs.renameSync(tmp, p);
+      } catch (e) {
+        fs.rmSync(tmp, { force: true });
+        return { success: false, message: `写入失败: ${e.message}` };
+      }
     }
-    try { return jsonString ? JSON.parse(jsonString) : null; } catch (e) { return null; }
+    this.refreshedAt.set(index, Date.now());
+    return { success: true, message: "保存成功" };
   }
 
   addAccount(index, authData) {
@@ -86,21 +213,232 @@ class AuthSource {
     this.runtimeAuths.delete(index);
     return { success: true, message: "移除成功" };
   }
+
+  // 将临时账号写入 auth/auth-N.json，成功后转为常驻账号
+  persistAccount(index) {
+    if (!this.runtimeAuths.has(index)) return { success: false, message: "只能保存临时账号" };
+    if (this.authMode !== 'file') return { success: false, message: "环境变量认证模式下无法写入文件" };
+    const authDir = path.join(__dirname, 'auth');
+    const p = path.join(authDir, `auth-${index}.json`);
+    if (fs.existsSync(p)) return { success: false, message: "文件已存在" };
+    try {
+      fs.mkdirSync(authDir, { recursive: true });
+      fs.writeFileSync(p, this._serializeAuth(this.runtimeAuths.get(index)));
+    } catch (e) {
+      return { success: false, message: `写入失败: ${e.message}` };
+    }
+    this.runtimeAuths.delete(index);
+    this.initialIndices = [...new Set([...this.initialIndices, index])].sort((a, b) => a - b);
+    return { success: true, message: "保存成功" };
+  }
+
+  // 读取并校验账号的认证数据，区分缺失、JSON 无效和结构不符
+  inspectAuth(index, warningMs = 0) {
+    let data = this.runtimeAuths.get(index);
+    if (!data) {
+      const source = this.authMode === 'env' ? `AUTH_JSON_${index}` : `auth/auth-${index}.json`;
+      const text = this._readAuthText(index);
+      if (!text) return { valid: false, message: `${source} 不存在或为空` };
+      try {
+        data = this._parseAuthText(text);
+      } catch (e) {
+        return { valid: false, message: e instanceof SyntaxError ? `${source} 不是有效的 JSON: ${e.message}` : `${source} ${e.message}` };
+      }
+    }
+    const result = AuthSource.inspectSession(data, warningMs);
+    return { valid: result.status === 'valid' || result.status === 'expiring', status: result.status, message: result.message };
+  }
+
+  // 根据 Google 会话 cookie 的过期时间判断登录状态: valid / expiring / expired / invalid。
+  // 会话 cookie (expires 为 -1) 不参与过期计算
+  static inspectSession(data, warningMs = 0, now = Date.now()) {
+    const structure = AuthSource.validateStorageState(data);
+    if (!structure.valid) return { status: 'invalid', message: structure.message, expiresAt: null };
+    const cookies = data.cookies.filter(c => /(^|\.)google\.com$/.test(c.domain));
+    const missing = GOOGLE_SESSION_COOKIES.filter(name => !cookies.some(c => c.name === name));
+    if (missing.length) return { status: 'invalid', message: `缺少 Google 会话 cookie: ${missing.join(', ')}`, expiresAt: null };
+
+    const expiries = cookies.filter(c => GOOGLE_SESSION_COOKIES.includes(c.name) && c.expires > 0).map(c => c.expires * 1000);
+    const expiresAt = expiries.length ? Math.min(...expiries) : null;
+    if (expiresAt === null) return { status: 'valid', message: '会话 cookie 无过期时间', expiresAt };
+    const date = new Date(expiresAt).toISOString().slice(0, 10);
+    if (expiresAt <= now) return { status: 'expired', message: `会话 cookie 已于 ${date} 过期`, expiresAt };
+    if (expiresAt - now < warningMs) return { status: 'expiring', message: `会话 cookie 将于 ${date} 过期`, expiresAt };
+    return { status: 'valid', message: `有效期至 ${date}`, expiresAt };
+  }
+
+  // 所有账号的登录状态，供仪表盘展示
+  getHealth(warningMs) {
+    return Object.fromEntries(this.getAvailableIndices().map(index => {
+      const data = this.getAuth(index);
+      return [index, data ? AuthSource.inspectSession(data, warningMs) : { status: 'invalid', message: '无法读取认证数据', expiresAt: null }];
+    }));
+  }
+
+  // 校验上传的 storageState 结构
+  static validateStorageState(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return { valid: false, message: "认证数据必须是 JSON 对象" };
+    if (!Array.isArray(data.cookies) || !data.cookies.length) return { valid: false, message: "缺少 cookies 数组" };
+    if (data.cookies.some(c => !c || typeof c.name !== 'string' || typeof c.value !== 'string' || typeof c.domain !== 'string')) {
+      return { valid: false, message: "cookies 中存在缺少 name/value/domain 的条目" };
+    }
+    if (data.origins !== undefined && !Array.isArray(data.origins)) return { valid: false, message: "origins 必须是数组" };
+    if (!data.cookies.some(c => /(^|\.)google\.com$/.test(c.domain))) return { valid: false, message: "未找到 google.com 域下的 cookie" };
+    return { valid: true, message: "校验通过" };
+  }
+}
+
+// ===================================================================================
+// 账号状态模块 (冷却、配额计数，可选持久化)
+// ===================================================================================
+class AccountStateTracker {
+  constructor(logger, config) {
+    this.logger = logger;
+    this.config = config;
+    this.states = {};
+    this.saveTimer = null;
+    this._load();
+  }
+
+  // Gemini 的每日配额按太平洋时间零点重置
+  static today() {
+    return new Date().toLocaleDateString('en-CA', { timeZone: 'America/Los_Angeles' });
+  }
+
+  _get(authIndex) {
+    if (!this.states[authIndex]) {
+      this.states[authIndex] = { lastError: null, cooldownUntil: 0, consecutiveFailures: 0, needsReauth: null, daily: { date: AccountStateTracker.today(), models: {} } };
+    }
+    const state = this.states[authIndex];
+    if (state.daily.date !== AccountStateTracker.today()) state.daily = { date: AccountStateTracker.today(), models: {} };
+    return state;
+  }
+
+  recordRequest(authIndex, model) {
+    if (authIndex === null) return;
+    const models = this._get(authIndex).daily.models;
+    models[model] = (models[model] || 0) + 1;
+    this._scheduleSave();
+  }
+
+  recordSuccess(authIndex) {
+    if (authIndex === null) return;
+    const state = this._get(authIndex);
+    if (!state.consecutiveFailures) return;
+    state.consecutiveFailures = 0;
+    this._scheduleSave();
+  }
+
+  recordFailure(authIndex, error) {
+    if (authIndex === null) return;
+    const state = this._get(authIndex);
+    if (error.category !== 'client') state.consecutiveFailures++;
+    state.lastError = { status: error.status, category: error.category, message: String(error.message).slice(0, 300), at: Date.now() };
+    const cooldown = this._cooldownFor(error);
+    if (cooldown > 0) {
+      state.cooldownUntil = Math.max(state.cooldownUntil, Date.now() + cooldown);
+      this.logger.warn(`[账号状态] 账号 #${authIndex} 进入冷却，${Math.round(cooldown / 1000)} 秒后恢复`);
+    }
+    this._scheduleSave();
+  }
+
+  // 优先使用上游给出的重试时间 (Retry-After 头或 RetryInfo)，否则按错误类别使用配置的冷却时长
+  _cooldownFor(error) {
+    if (!error.upstream) return 0;
+    if (error.category === 'auth') return this.config.authCooldownMs;
+    if (error.category !== 'quota') return 0;
+    const retryAfter = parseInt(error.headers && error.headers['retry-after'], 10);
+    if (!isNaN(retryAfter)) return retryAfter * 1000;
+    try {
+      const info = (JSON.parse(error.body).error.details || []).find(d => d.retryDelay);
+      if (info) return parseFloat(info.retryDelay) * 1000;
+    } catch (e) {}
+    return this.config.quotaCooldownMs;
+  }
+
+  // 需要重新登录的账号不参与轮换，直到该账号再次成功启动
+  markNeedsReauth(authIndex, reason) {
+    this._get(authIndex).needsReauth = { reason, at: Date.now() };
+    this._scheduleSave();
+  }
+
+  clearNeedsReauth(authIndex) {
+    const state = this.states[authIndex];
+    if (!state || !state.needsReauth) return;
+    state.needsReauth = null;
+    this._scheduleSave();
+  }
+
+  isCoolingDown(authIndex) {
+    const state = this.states[authIndex];
+    return !!state && (!!state.needsReauth || state.cooldownUntil > Date.now());
+  }
+
+  getCoolingIndices() {
+    return Object.keys(this.states).map(Number).filter(i => this.isCoolingDown(i));
+  }
+
+  getCooldownUntil(authIndex) {
+    const state = this.states[authIndex];
+    if (!state) return 0;
+    return state.needsReauth ? Infinity : state.cooldownUntil;
+  }
+
+  getSnapshot() {
+    const now = Date.now();
+    return Object.fromEntries(Object.keys(this.states).map(i => {
+      const state = this._get(i);
+      return [i, { ...state, coolingDown: state.cooldownUntil > now, cooldownRemainingMs: Math.max(0, state.cooldownUntil - now) }];
+    }));
+  }
+
+  _load() {
+    const file = this.config.accountStateFile;
+    if (!file || !fs.existsSync(file)) return;
+    try {
+      this.states = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      this.logger.info(`[账号状态] 已从 ${file} 恢复 ${Object.keys(this.states).length} 个账号的状态`);
+    } catch (e) {
+      this.logger.warn(`[账号状态] 读取 ${file} 失败: ${e.message}`);
+    }
+  }
+
+  _scheduleSave() {
+    if (!this.config.accountStateFile || this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      const file = this.config.accountStateFile;
+      try {
+        fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(this.states, null, 2));
+      } catch (e) {
+        this.logger.warn(`[账号状态] 保存到 ${file} 失败: ${e.message}`);
+      }
+    }, 1000);
+  }
 }
 
 // ===================================================================================
-// 浏览器管理模块 (包含健壮启动逻辑)
+// 浏览器管理模块 (包含健壮启动逻辑，支持多账号浏览器池)
 // ===================================================================================
-class BrowserManager {
+class BrowserManager extends EventEmitter {
   constructor(logger, config, authSource) {
+    super();
     this.logger = logger;
     this.config = config;
     this.authSource = authSource;
-    this.browser = null;
-    this.context = null;
-    this.page = null;
+    // 账号索引 -> { browser, context, page }，每个账号独占一个 Camoufox 实例
+    this.instances = new Map();
     this.currentAuthIndex = 0;
     this.scriptFileName = 'dark-browser.js';
+    // 注入脚本依赖剪贴板粘贴，多实例同时启动会互相覆盖剪贴板内容，因此启动过程串行执行
+    this.launchLock = Promise.resolve();
+    // 被替换的账号索引 -> 进行中的切换任务
+    this.switchTasks = new Map();
+    // 应当保持运行的账号 (意外断开后仍保留，由守护模块负责恢复)
+    this.expected = new Set();
+    this.launching = new Set();
+    this.autoSaveTimer = null;
 
     if (this.config.browserExecutablePath) {
       this.browserExecutablePath = this.config.browserExecutablePath;
@@ -111,50 +449,122 @@ class BrowserManager {
     }
   }
 
-  async launchBrowser(authIndex) {
-    if (this.browser) return;
+  get browser() {
+    const instance = this.instances.get(this.currentAuthIndex);
+    return instance ? instance.browser : null;
+  }
+
+  isRunning(authIndex = null) {
+    return authIndex === null ? this.instances.size > 0 : this.instances.has(authIndex);
+  }
 
-    this.logger.info(`🚀 [浏览器] 启动中 (账号 #${authIndex})...`);
-    const storageState = this.authSource.getAuth(authIndex);
-    if (!storageState) throw new Error(`无法加载账号 ${authIndex}`);
+  getRunningIndices() {
+    return [...this.instances.keys()].sort((a, b) => a - b);
+  }
 
-    if (storageState.cookies) {
-      storageState.cookies.forEach(c => { if (!['Lax', 'Strict', 'None'].includes(c.sameSite)) c.sameSite = 'None'; });
+  isSwitching(fromIndex = null) {
+    return fromIndex === null ? this.switchTasks.size > 0 : this.switchTasks.has(fromIndex);
+  }
+
+  isBusy() {
+    return this.switchTasks.size > 0 || this.launching.size > 0;
+  }
+
+  getExpectedIndices() {
+    return [...this.expected];
+  }
+
+  _progress(authIndex, stage) {
+    this.emit('progress', { authIndex, stage });
+  }
+
+  launchBrowser(authIndex) {
+    this.launching.add(authIndex);
+    const task = this.launchLock.then(() => this._launch(authIndex)).finally(() => this.launching.delete(authIndex));
+    this.launchLock = task.catch(() => {});
+    return task;
+  }
+
+  // 按顺序启动多个账号，单个账号失败不影响其余账号
+  async launchPool(indices) {
+    const launched = [];
+    for (const index of indices) {
+      try {
+        await this.launchBrowser(index);
+        launched.push(index);
+      } catch (e) {
+        this.logger.warn(`[浏览器池] 账号 #${index} 启动失败，已跳过`);
+      }
     }
+    if (!launched.length) throw new Error('浏览器池中没有可用账号');
+    this.currentAuthIndex = launched[0];
+    this.logger.info(`✅ [浏览器池] ${launched.length}/${indices.length} 个账号就绪: ${launched.join(', ')}`);
+    return launched;
+  }
 
+  _buildScript(authIndex) {
     let scriptContent = "console.log('Script missing');";
     try {
       const scriptPath = path.join(__dirname, this.scriptFileName);
       if (fs.existsSync(scriptPath)) scriptContent = fs.readFileSync(scriptPath, 'utf-8');
     } catch (e) { this.logger.error("读取脚本失败"); }
 
+    // 注入运行时配置，使浏览器端连接时携带账号标识
+    const runtimeConfig = { accountIndex: authIndex, wsPort: this.config.wsPort, logLevel: this.config.logLevel };
+    return scriptContent.replace('/* __RUNTIME_CONFIG__ */ {}', JSON.stringify(runtimeConfig));
+  }
+
+  async _launch(authIndex) {
+    if (this.instances.has(authIndex)) return;
+
+    this.logger.info(`🚀 [浏览器] 启动中 (账号 #${authIndex})...`);
+    this._progress(authIndex, 'launching');
+    const storageState = this.authSource.getAuth(authIndex);
+    if (!storageState) throw new Error(`无法加载账号 ${authIndex}`);
+    // cookie 已过期时启动浏览器只会停在登录页，直接判定为需要重新登录
+    const session = AuthSource.inspectSession(storageState, this.config.authExpiryWarningDays * DURATION_UNITS.d);
+    if (session.status === 'expired') this._authRequired(authIndex, session.message);
+    if (session.status !== 'valid') this.logger.warn(`[认证] 账号 #${authIndex}: ${session.message}`);
+
+    if (storageState.cookies) {
+      storageState.cookies.forEach(c => { if (!['Lax', 'Strict', 'None'].includes(c.sameSite)) c.sameSite = 'None'; });
+    }
+
+    const scriptContent = this._buildScript(authIndex);
+    let browser = null;
+
     try {
-      this.browser = await firefox.launch({
+      browser = await firefox.launch({
         headless: true,
         executablePath: this.browserExecutablePath,
         args: ['--disable-blink-features=AutomationControlled']
       });
 
-      this.browser.on('disconnected', () => {
-        this.logger.error('❌ [浏览器] 意外断开');
-        this.browser = null; this.context = null; this.page = null;
+      browser.on('disconnected', () => {
+        if (this.instances.get(authIndex)?.browser !== browser) return;
+        this.logger.error(`❌ [浏览器] 账号 #${authIndex} 意外断开`);
+        this.instances.delete(authIndex);
+        this.emit('disconnected', { authIndex });
       });
 
-      this.context = await this.browser.newContext({ storageState, viewport: { width: 1280, height: 720 } });
-      this.page = await this.context.newPage();
+      const context = await browser.newContext({ storageState, viewport: { width: 1280, height: 720 } });
+      const page = await context.newPage();
 
       this.logger.info('[浏览器] 访问 AI Studio...');
-      await this.page.goto('https://aistudio.google.com/u/0/apps/bundled/blank?showAssistant=true&showCode=true', { timeout: 60000, waitUntil: 'networkidle' });
+      await page.goto('https://aistudio.google.com/u/0/apps/bundled/blank?showAssistant=true&showCode=true', { timeout: 60000, waitUntil: 'networkidle' });
 
+      if (this._isLoginPage(page)) this._authRequired(authIndex, `被重定向到登录页 ${new URL(page.url()).hostname}`);
+      this._progress(authIndex, 'page_loaded');
       this.logger.info('[浏览器] 等待页面稳定...');
-      await this.page.waitForTimeout(5000);
-      try { await this.page.mouse.click(100, 100); } catch(e){}
+      await page.waitForTimeout(5000);
+      if (this._isLoginPage(page)) this._authRequired(authIndex, `被重定向到登录页 ${new URL(page.url()).hostname}`);
+      try { await page.mouse.click(100, 100); } catch(e){}
 
       this.logger.info('[浏览器] 寻找 Code 按钮...');
-      const codeButton = this.page.getByRole('button', { name: 'Code' });
+      const codeButton = page.getByRole('button', { name: 'Code' });
       await codeButton.waitFor({ state: 'visible', timeout: 30000 });
       
-      const editorContainer = this.page.locator('div.monaco-editor').first();
+      const editorContainer = page.locator('div.monaco-editor').first();
       let editorVisible = false;
       let clicks = 0;
       
@@ -163,81 +573,359 @@ class BrowserManager {
            if (await editorContainer.isVisible()) { editorVisible = true; break; }
            await codeButton.click({ force: true });
            clicks++;
-           await this.page.waitForTimeout(500);
+           await page.waitForTimeout(500);
         } catch (e) {
-           await this.page.waitForTimeout(1000);
+           await page.waitForTimeout(1000);
         }
       }
       
       if (!editorVisible) throw new Error("无法打开代码编辑器");
+      this._progress(authIndex, 'editor_opened');
 
       this.logger.info('[浏览器] 注入代理脚本...');
-      await this.page.waitForTimeout(2000);
+      await page.waitForTimeout(2000);
       await editorContainer.click({ force: true });
-      await this.page.evaluate(text => navigator.clipboard.writeText(text), scriptContent);
+      await page.evaluate(text => navigator.clipboard.writeText(text), scriptContent);
       
       const pasteKey = os.platform() === 'darwin' ? 'Meta+V' : 'Control+V';
-      await this.page.keyboard.press(pasteKey);
+      await page.keyboard.press(pasteKey);
+      this._progress(authIndex, 'script_injected');
       
       this.logger.info('[浏览器] 切换到预览模式...');
-      await this.page.waitForTimeout(1000);
-      await this.page.getByRole('button', { name: 'Preview' }).click();
+      await page.waitForTimeout(1000);
+      await page.getByRole('button', { name: 'Preview' }).click();
 
+      this.instances.set(authIndex, { browser, context, page });
+      this.expected.add(authIndex);
       this.currentAuthIndex = authIndex;
+      this._progress(authIndex, 'preview_opened');
       this.logger.info(`✅ [浏览器] 账号 ${authIndex} 就绪`);
+      this.emit('launched', { authIndex });
 
     } catch (error) {
       this.logger.error(`❌ [浏览器] 启动失败: ${error.message}`);
-      if (this.browser) await this.browser.close();
-      this.browser = null;
+      if (browser) await browser.close().catch(() => {});
       throw error;
     }
   }
 
-  async closeBrowser() {
-    if (this.browser) {
-      await this.browser.close();
-      this.browser = null;
+  _isLoginPage(page) {
+    return /^https:\/\/accounts\.google\.com\/|\/ServiceLogin|\/signin\b/i.test(page.url());
+  }
+
+  _authRequired(authIndex, reason) {
+    this.emit('authRequired', { authIndex, reason });
+    throw new AuthRequiredError(authIndex, reason);
+  }
+
+  // 浏览器运行期间 Google 会轮换 cookie，将最新的 storageState 写回认证源。
+  // 已退出登录的状态不会覆盖原有认证数据
+  async saveStorageState(authIndex) {
+    const instance = this.instances.get(authIndex);
+    if (!instance) return { success: false, message: "账号未运行" };
+    let state;
+    try {
+      state = await Promise.race([
+        instance.context.storageState(),
+        new Promise((_, reject) => setTimeout(() => reject(new Error('超时')), 10000))
+      ]);
+    } catch (e) {
+      return { success: false, message: `读取 storageState 失败: ${e.message}` };
+    }
+    const session = AuthSource.inspectSession(state);
+    if (session.status === 'invalid' || session.status === 'expired') {
+      this.logger.warn(`[认证] 账号 #${authIndex} 当前登录状态无效 (${session.message})，未写回`);
+      return { success: false, message: session.message };
+    }
+    const result = this.authSource.saveAuth(authIndex, state);
+    if (result.success) this.logger.info(`[认证] 账号 #${authIndex} 的 storageState 已刷新 (${session.message})`);
+    else this.logger.warn(`[认证] 账号 #${authIndex} 的 storageState 写回失败: ${result.message}`);
+    return result;
+  }
+
+  startAutoSave() {
+    if (this.config.authSaveInterval <= 0) return;
+    this.autoSaveTimer = setInterval(async () => {
+      for (const authIndex of this.getRunningIndices()) await this.saveStorageState(authIndex);
+    }, this.config.authSaveInterval);
+  }
+
+  stopAutoSave() {
+    clearInterval(this.autoSaveTimer);
+    this.autoSaveTimer = null;
+  }
+
+  // 不指定账号时关闭全部实例，关闭前先写回 storageState
+  async closeBrowser(authIndex = null) {
+    const targets = authIndex === null ? [...new Set([...this.instances.keys(), ...this.expected])] : [authIndex];
+    for (const index of targets) {
+      this.expected.delete(index);
+      const instance = this.instances.get(index);
+      if (!instance) continue;
+      if (instance.browser.isConnected()) await this.saveStorageState(index);
+      this.instances.delete(index);
+      await instance.browser.close().catch(() => {});
+      this.emit('closed', { authIndex: index });
+    }
+  }
+
+  // 同一账号的并发切换请求合并为一次
+  switchAccount(newIndex, oldIndex = this.currentAuthIndex) {
+    if (this.switchTasks.has(oldIndex)) return this.switchTasks.get(oldIndex);
+    this.emit('switchStart', { from: oldIndex, to: newIndex });
+    const task = (async () => {
+      this._progress(newIndex, 'closing');
+      await this.closeBrowser(oldIndex);
+      await this.launchBrowser(newIndex);
+    })().then(
+      () => this.emit('switchDone', { from: oldIndex, to: newIndex }),
+      (e) => { this.emit('switchFailed', { from: oldIndex, to: newIndex, error: e.message }); throw e; }
+    ).finally(() => this.switchTasks.delete(oldIndex));
+    this.switchTasks.set(oldIndex, task);
+    return task;
+  }
+}
+
+// ===================================================================================
+// 浏览器守护模块 (崩溃检测与自动恢复)
+// ===================================================================================
+class BrowserWatchdog {
+  constructor(system) {
+    this.system = system;
+    this.logger = system.logger;
+    this.browserMgr = system.browserMgr;
+    this.registry = system.registry;
+    this.timer = null;
+    this.checking = false;
+    // 账号索引 -> 首次发现 WebSocket 缺失的时间
+    this.missingSince = new Map();
+    // 故障账号索引 -> { attempts, nextAttemptAt }
+    this.recovery = new Map();
+    // 只注册一次，热加载重启定时器时不会重复添加；守护停用期间忽略断开事件
+    this.browserMgr.on('disconnected', () => { if (this.timer) this.check(); });
+  }
+
+  get config() { return this.system.config; }
+
+  start() {
+    if (this.config.watchdogInterval <= 0) return;
+    this.timer = setInterval(() => this.check(), this.config.watchdogInterval);
+    this.logger.info(`[守护] 已启动，检查间隔 ${this.config.watchdogInterval}ms`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async check() {
+    // 启动或切换中的浏览器状态不完整，等其结束后再检查
+    if (this.checking || this.browserMgr.isBusy()) return;
+    this.checking = true;
+    try {
+      const watched = new Set([...this.browserMgr.getExpectedIndices(), ...this.recovery.keys()]);
+      for (const authIndex of watched) {
+        const problem = this._diagnose(authIndex);
+        if (problem) await this._recover(authIndex, problem);
+        else this.recovery.delete(authIndex);
+      }
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  _diagnose(authIndex) {
+    const instance = this.browserMgr.instances.get(authIndex);
+    if (!instance || !instance.browser.isConnected()) return 'browser_dead';
+    if (instance.page.isClosed()) return 'page_closed';
+    if (this.registry.hasAccount(authIndex)) {
+      this.missingSince.delete(authIndex);
+      return null;
     }
+    if (!this.missingSince.has(authIndex)) this.missingSince.set(authIndex, Date.now());
+    return Date.now() - this.missingSince.get(authIndex) > this.config.wsMissingThreshold ? 'ws_missing' : null;
   }
 
-  async switchAccount(newIndex) {
-    await this.closeBrowser();
-    await this.launchBrowser(newIndex);
+  // 先重启同一账号，连续失败 watchdogSwitchAfter 次后改为切换到下一个账号；失败后指数退避
+  async _recover(authIndex, problem) {
+    const state = this.recovery.get(authIndex) || { attempts: 0, nextAttemptAt: 0 };
+    this.recovery.set(authIndex, state);
+    if (Date.now() < state.nextAttemptAt) return;
+
+    state.attempts++;
+    const target = state.attempts > this.config.watchdogSwitchAfter ? this.system.handler._getNextAuthIndex(authIndex) : authIndex;
+    this.missingSince.delete(authIndex);
+    this.system.recordEvent('watchdog', `账号 #${authIndex} 异常 (${problem})，第 ${state.attempts} 次恢复，启动账号 #${target}`, { authIndex, problem });
+
+    try {
+      await this.browserMgr.switchAccount(target, authIndex);
+      this.recovery.delete(authIndex);
+      this.system.recordEvent('watchdog', `账号 #${target} 已恢复`, { authIndex: target });
+    } catch (e) {
+      // 认证失效时重启同一账号没有意义，下次检查直接切换到其他账号
+      if (e.code === 'AUTH_REQUIRED') {
+        state.attempts = Math.max(state.attempts, this.config.watchdogSwitchAfter);
+        this.system.recordEvent('watchdog', `账号 #${target} 需要重新登录，改为切换其他账号`, { authIndex: target });
+        return;
+      }
+      const delay = Math.min(this.config.watchdogBackoffBase * 2 ** (state.attempts - 1), this.config.watchdogBackoffMax);
+      state.nextAttemptAt = Date.now() + delay;
+      this.system.recordEvent('watchdog', `账号 #${target} 恢复失败: ${e.message}，${Math.ceil(delay / 1000)} 秒后重试`, { authIndex: target });
+    }
   }
 }
 
 // ===================================================================================
 // 日志与队列
 // ===================================================================================
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+// 保存当前请求的上下文 (requestId)，使请求处理链路中的所有日志自动带上请求标识
+const logContext = new AsyncLocalStorage();
+
+// 按大小轮转的日志文件：file -> file.1 -> file.2 ...，最多保留 maxFiles 个历史文件
+class RotatingFileSink {
+  constructor(file, maxSize, maxFiles) {
+    this.file = file;
+    this.maxSize = maxSize;
+    this.maxFiles = maxFiles;
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    this.size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+    this.stream = fs.createWriteStream(file, { flags: 'a' });
+  }
+
+  write(line) {
+    const bytes = Buffer.byteLength(line);
+    if (this.maxSize > 0 && this.size + bytes > this.maxSize && this.size > 0) this._rotate();
+    this.stream.write(line);
+    this.size += bytes;
+  }
+
+  _rotate() {
+    this.stream.end();
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      if (fs.existsSync(`${this.file}.${i}`)) fs.renameSync(`${this.file}.${i}`, `${this.file}.${i + 1}`);
+    }
+    if (this.maxFiles > 0) fs.renameSync(this.file, `${this.file}.1`);
+    else fs.unlinkSync(this.file);
+    this.size = 0;
+    this.stream = fs.createWriteStream(this.file, { flags: 'a' });
+  }
+
+  close() { this.stream.end(); }
+}
+
 class LoggingService {
-  constructor(name) { this.name = name; }
+  constructor(name, shared = null) {
+    this.name = name;
+    // 同一进程内的各个 logger 共享级别、格式和输出文件
+    this.shared = shared || { level: LOG_LEVELS.info, format: 'text', sink: null, listeners: new Set() };
+  }
+
+  // 配置加载完成后调用 (配置加载本身也需要输出日志)
+  configure({ logLevel = 'info', logFormat = 'text', logFile = null, logMaxSize = 0, logMaxFiles = 5 }) {
+    this.shared.level = LOG_LEVELS[logLevel] || LOG_LEVELS.info;
+    this.shared.format = logFormat === 'json' ? 'json' : 'text';
+    if (this.shared.sink) this.shared.sink.close();
+    this.shared.sink = null;
+    if (logFile) {
+      try {
+        this.shared.sink = new RotatingFileSink(logFile, logMaxSize, logMaxFiles);
+      } catch (e) {
+        this.error(`无法打开日志文件 ${logFile}: ${e.message}`);
+      }
+    }
+  }
+
+  child(name) { return new LoggingService(name, this.shared); }
+
+  // 订阅所有已输出的日志条目 (仪表盘实时日志使用)，返回取消订阅函数
+  subscribe(fn) {
+    this.shared.listeners.add(fn);
+    return () => this.shared.listeners.delete(fn);
+  }
+
+  withContext(context, fn) { return logContext.run({ ...logContext.getStore(), ...context }, fn); }
+
+  get requestId() { return logContext.getStore()?.requestId ?? null; }
+
+  isEnabled(level) { return LOG_LEVELS[level] >= this.shared.level; }
+
+  log(level, m, fields = {}) {
+    if (!this.isEnabled(level)) return;
+    const requestId = fields.requestId ?? this.requestId;
+    const entry = { time: new Date().toISOString(), level, module: this.name, ...fields, requestId: requestId ?? undefined, msg: m };
+    let line;
+    if (this.shared.format === 'json') {
+      line = JSON.stringify(entry);
+    } else {
+      const tag = level === 'info' ? '' : `${level.toUpperCase()}: `;
+      line = `${this._t()} [${this.name}]${requestId ? ` [${requestId}]` : ''} ${tag}${m}`;
+    }
+    const out = { debug: console.debug, info: console.log, warn: console.warn, error: console.error }[level];
+    out(line);
+    if (this.shared.sink) this.shared.sink.write(line + '\n');
+    this.shared.listeners.forEach(fn => fn(entry));
+  }
+
   _t() { return new Date().toLocaleTimeString('en-GB'); }
-  info(m) { console.log(`${this._t()} [${this.name}] ${m}`); }
-  error(m) { console.error(`${this._t()} [${this.name}] ERROR: ${m}`); }
-  warn(m) { console.warn(`${this._t()} [${this.name}] WARN: ${m}`); }
-  debug(m) { console.debug(`${this._t()} [${this.name}] DEBUG: ${m}`); }
+  info(m, fields) { this.log('info', m, fields); }
+  error(m, fields) { this.log('error', m, fields); }
+  warn(m, fields) { this.log('warn', m, fields); }
+  debug(m, fields) { this.log('debug', m, fields); }
+}
+
+// ===================================================================================
+// WebSocket 传输协议
+// ===================================================================================
+// 控制消息 (请求头、响应头、结束、错误、日志) 为 JSON 文本；请求体与响应体以二进制帧传输:
+// [4 字节大端头部长度][JSON 头部][原始字节]。大于 WS_FRAME_SIZE 的内容拆成多帧，接收端按顺序拼接，
+// 避免 JSON 转义和 base64 膨胀，二进制内容也能原样传递
+const WS_FRAME_SIZE = 1024 * 1024;
+
+function encodeFrame(header, payload) {
+  const head = Buffer.from(JSON.stringify(header), 'utf-8');
+  const prefix = Buffer.alloc(4);
+  prefix.writeUInt32BE(head.length, 0);
+  return Buffer.concat([prefix, head, payload]);
+}
+
+function decodeFrame(buf) {
+  const length = buf.readUInt32BE(0);
+  return { ...JSON.parse(buf.subarray(4, 4 + length).toString('utf-8')), payload: buf.subarray(4 + length) };
 }
 
 class MessageQueue extends EventEmitter {
-  constructor() { super(); this.q = []; this.waiters = []; this.closed = false; }
+  constructor() {
+    super(); this.q = []; this.waiters = []; this.closed = false;
+    // 响应分片可能在多字节字符中间断开，按请求保留解码状态
+    this.decoder = new StringDecoder('utf8');
+    // 已取出的响应分片数，用于区分首字节超时与分片间隔超时
+    this.received = 0;
+  }
   enqueue(msg) {
     if (this.closed) return;
     if (this.waiters.length) this.waiters.shift().resolve(msg);
     else this.q.push(msg);
   }
-  async dequeue(timeout = 1200000) {
+  // timeout 为 0 或 Infinity 时不限制等待时间
+  async dequeue(timeout = 0) {
     if (this.closed) throw new Error('Queue closed');
     if (this.q.length) return this.q.shift();
     return new Promise((resolve, reject) => {
-      const t = setTimeout(() => {
+      const t = Number.isFinite(timeout) && timeout > 0 ? setTimeout(() => {
         this.waiters = this.waiters.filter(w => w !== wrapper);
         reject(new Error('Timeout'));
-      }, timeout);
+      }, timeout) : null;
       const wrapper = { resolve: (m) => { clearTimeout(t); resolve(m); }, reject };
       this.waiters.push(wrapper);
     });
   }
+  // 将预读的消息放回队首，交由后续的读取流程处理
+  requeue(msg) {
+    if (msg.event_type === 'chunk') this.received--;
+    if (this.waiters.length) this.waiters.shift().resolve(msg);
+    else this.q.unshift(msg);
+  }
   close() {
     this.closed = true;
     this.waiters.forEach(w => w.reject(new Error('Queue closed')));
@@ -249,85 +937,1674 @@ class ConnectionRegistry extends EventEmitter {
   constructor(logger) {
     super();
     this.logger = logger;
-    this.connections = new Set();
+    // ws -> { authIndex, address, inFlight }
+    this.connections = new Map();
     this.queues = new Map();
+    // request_id -> 正在处理该请求的 ws
+    this.assignments = new Map();
+    // request_id -> 当前尝试的序号。重试沿用同一个 request_id，浏览器回传的消息带有 attempt，
+    // 已放弃的尝试迟到的消息直接丢弃，不会被下一次尝试当作自己的响应
+    this.attempts = new Map();
+    this.cursor = 0;
+    // 排队等待连接的请求各自注册一次 connected 监听
+    this.setMaxListeners(0);
   }
   addConnection(ws, info) {
-    this.connections.add(ws);
-    this.logger.info(`客户端连接: ${info.address}`);
-    ws.on('message', d => {
+    this.connections.set(ws, { authIndex: info.authIndex, address: info.address, inFlight: 0 });
+    this.logger.info(`客户端连接: ${info.address} (账号 #${info.authIndex ?? '未知'})`);
+    this.emit('connected', info);
+    ws.on('message', (d, isBinary) => {
       try {
-        const msg = JSON.parse(d.toString());
+        const msg = isBinary ? decodeFrame(d) : JSON.parse(d.toString());
+        // 浏览器端日志经同一连接转发过来，不进入请求队列
+        if (msg.event_type === 'log') {
+          this.emit('browserLog', { ...msg, authIndex: this.connections.get(ws)?.authIndex ?? null });
+          return;
+        }
         if (msg.request_id && this.queues.has(msg.request_id)) {
+          if (msg.attempt !== this.attempts.get(msg.request_id)) return;
           const q = this.queues.get(msg.request_id);
           if (msg.event_type === 'stream_close') q.enqueue({ type: 'STREAM_END' });
+          // 响应体分片: raw 为原始字节 (透传时使用)，data 为解码后的文本 (格式转换与用量统计使用)
+          else if (msg.payload) q.enqueue({ request_id: msg.request_id, event_type: 'chunk', raw: msg.payload, data: q.decoder.write(msg.payload) });
           else q.enqueue(msg);
         }
       } catch (e) {}
     });
-    ws.on('close', () => { this.connections.delete(ws); });
+    ws.on('close', () => {
+      const conn = this.connections.get(ws);
+      this.connections.delete(ws);
+      this.logger.warn(`客户端断开 (账号 #${conn?.authIndex ?? '未知'})`);
+      // 该连接上未完成的请求不会再有响应，立即通知等待方
+      for (const [id, owner] of this.assignments) {
+        if (owner !== ws) continue;
+        this.assignments.delete(id);
+        this.attempts.delete(id);
+        if (this.queues.has(id)) this.queues.get(id).enqueue({ event_type: 'error', status: 503, message: 'WebSocket connection closed' });
+      }
+    });
+  }
+  // 在健康连接中选择进行中请求最少的一个，并列时轮询；优先避开 avoid 中的账号。
+  // 指定 prefer 时 (文件所属账号) 只要该账号在线就选择它
+  pickConnection(avoid = [], prefer = null) {
+    let healthy = [...this.connections.entries()].filter(([ws]) => ws.readyState === WebSocket.OPEN);
+    const owner = prefer !== null && healthy.find(([, c]) => c.authIndex === prefer);
+    if (owner) return owner[0];
+    const preferred = healthy.filter(([, c]) => !avoid.includes(c.authIndex));
+    if (preferred.length) healthy = preferred;
+    if (!healthy.length) return null;
+    const start = this.cursor++ % healthy.length;
+    let best = null;
+    for (let i = 0; i < healthy.length; i++) {
+      const candidate = healthy[(start + i) % healthy.length];
+      if (!best || candidate[1].inFlight < best[1].inFlight) best = candidate;
+    }
+    return best[0];
+  }
+  assign(requestId, ws, attempt) {
+    this.release(requestId);
+    this.assignments.set(requestId, ws);
+    this.attempts.set(requestId, attempt);
+    const conn = this.connections.get(ws);
+    if (conn) conn.inFlight++;
+  }
+  release(requestId) {
+    const ws = this.assignments.get(requestId);
+    if (!ws) return;
+    this.assignments.delete(requestId);
+    this.attempts.delete(requestId);
+    const conn = this.connections.get(ws);
+    if (conn) conn.inFlight = Math.max(0, conn.inFlight - 1);
+  }
+  getAssignedAuthIndex(requestId) {
+    const ws = this.assignments.get(requestId);
+    const conn = ws && this.connections.get(ws);
+    return conn ? conn.authIndex : null;
+  }
+  // 请求头作为 JSON 发送并注明 body_size，请求体随后按帧发送，浏览器端收齐后再发起请求
+  send(ws, req) {
+    const { body, ...head } = req;
+    const bytes = Buffer.isBuffer(body) ? body : Buffer.from(body || '', 'utf-8');
+    ws.send(JSON.stringify({ ...head, body_size: bytes.length }));
+    for (let offset = 0; offset < bytes.length; offset += WS_FRAME_SIZE) {
+      ws.send(encodeFrame({ request_id: req.request_id, event_type: 'request_body' }, bytes.subarray(offset, offset + WS_FRAME_SIZE)));
+    }
+  }
+  // 客户端已断开，通知正在处理该请求的浏览器中止上游请求
+  cancel(requestId) {
+    const ws = this.assignments.get(requestId);
+    if (ws && ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ event_type: 'cancel', request_id: requestId }));
+  }
+  getConnectionInfo(ws) { return this.connections.get(ws); }
+  hasAccount(authIndex) {
+    return [...this.connections.entries()].some(([ws, c]) => ws.readyState === WebSocket.OPEN && c.authIndex === authIndex);
+  }
+  getSummary() {
+    return [...this.connections.values()].map(c => ({ authIndex: c.authIndex, address: c.address, inFlight: c.inFlight }));
   }
-  getFirstConnection() { return this.connections.values().next().value; }
   createQueue(id) { const q = new MessageQueue(); this.queues.set(id, q); return q; }
-  removeQueue(id) { if (this.queues.has(id)) { this.queues.get(id).close(); this.queues.delete(id); } }
-  hasActive() { return this.connections.size > 0; }
+  removeQueue(id) {
+    this.release(id);
+    if (this.queues.has(id)) { this.queues.get(id).close(); this.queues.delete(id); }
+  }
+  hasActive(excludeAuth = null) {
+    return [...this.connections.entries()].some(([ws, c]) => ws.readyState === WebSocket.OPEN && (excludeAuth === null || c.authIndex !== excludeAuth));
+  }
+  waitForConnection(timeout) {
+    if (this.hasActive()) return Promise.resolve(true);
+    return new Promise(resolve => {
+      const onConnected = () => { clearTimeout(t); resolve(true); };
+      const t = setTimeout(() => { this.off('connected', onConnected); resolve(false); }, timeout);
+      this.once('connected', onConnected);
+    });
+  }
 }
 
 // ===================================================================================
-// 请求处理器 (OpenAI 格式兼容版)
+// 格式转换模块 (OpenAI <-> Gemini)
 // ===================================================================================
-class RequestHandler {
-  constructor(system, registry, logger, browserMgr) {
-    this.system = system;
-    this.registry = registry;
-    this.logger = logger;
-    this.browserMgr = browserMgr;
-    this.failureCount = 0;
+const OPENAI_FINISH_REASONS = {
+  STOP: 'stop', MAX_TOKENS: 'length', SAFETY: 'content_filter', RECITATION: 'content_filter',
+  BLOCKLIST: 'content_filter', PROHIBITED_CONTENT: 'content_filter', SPII: 'content_filter',
+  IMAGE_SAFETY: 'content_filter', MALFORMED_FUNCTION_CALL: 'stop'
+};
+const REASONING_BUDGETS = { minimal: 0, low: 1024, medium: 8192, high: 24576 };
+// 模型名会直接拼接进上游路径，只接受普通标识符，防止 ../ 等路径穿越
+const MODEL_NAME_PATTERN = /^(?!\.+$)[\w.-]+$/;
+const DEFAULT_MODEL = 'gemini-2.5-pro';
+
+// 转换接口 (OpenAI / Anthropic) 请求体中的模型对应的 Gemini 模型名，未指定时使用默认模型
+function translatedModelName(body) {
+  return String(body.model || DEFAULT_MODEL).replace(/^models\//, '');
+}
+// Gemini 的 Schema 只接受 OpenAPI 子集，这些 JSON Schema 关键字会导致 400
+const UNSUPPORTED_SCHEMA_KEYS = ['$schema', '$id', '$ref', '$defs', 'additionalProperties', 'default', 'examples', 'strict', 'const'];
+
+function sanitizeSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(sanitizeSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+  const out = {};
+  for (const [k, v] of Object.entries(schema)) {
+    if (UNSUPPORTED_SCHEMA_KEYS.includes(k)) continue;
+    out[k] = (k === 'properties' && v && typeof v === 'object')
+      ? Object.fromEntries(Object.entries(v).map(([name, s]) => [name, sanitizeSchema(s)]))
+      : sanitizeSchema(v);
   }
+  return out;
+}
 
-  get config() { return this.system.config; }
+function parseDataUrl(url) {
+  const match = /^data:([^;,]+)?(?:;[^,]*)?;base64,(.*)$/s.exec(url || '');
+  return match ? { mimeType: match[1] || 'application/octet-stream', data: match[2] } : null;
+}
+
+function guessMimeType(url) {
+  const ext = (url.split('?')[0].match(/\.(\w+)$/) || [])[1];
+  const types = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', webp: 'image/webp', gif: 'image/gif', pdf: 'application/pdf', mp3: 'audio/mp3', wav: 'audio/wav', mp4: 'video/mp4' };
+  return types[(ext || '').toLowerCase()] || 'image/jpeg';
+}
+
+// 逐行解析上游 SSE，分片可能在任意位置断开，因此需要缓冲不完整的行
+class SSEParser {
+  constructor() { this.buffer = ''; }
+  push(text) {
+    this.buffer += text;
+    const lines = this.buffer.split('\n');
+    this.buffer = lines.pop();
+    return this._extract(lines);
+  }
+  flush() {
+    const lines = [this.buffer];
+    this.buffer = '';
+    return this._extract(lines);
+  }
+  _extract(lines) {
+    const events = [];
+    for (const raw of lines) {
+      const line = raw.trim();
+      if (!line.startsWith('data:')) continue;
+      const payload = line.slice(5).trim();
+      if (!payload || payload === '[DONE]') continue;
+      try { events.push(JSON.parse(payload)); } catch (e) {}
+    }
+    return events;
+  }
+}
+
+class OpenAITranslator {
+  constructor(body) {
+    this.format = 'openai';
+    this.body = body;
+    this.model = translatedModelName(body);
+    this.stream = !!body.stream;
+    this.includeUsage = !!(body.stream_options && body.stream_options.include_usage);
+    this.id = `chatcmpl-${Date.now().toString(36)}${Math.random().toString(36).substr(2, 8)}`;
+    this.created = Math.floor(Date.now() / 1000);
+    this.parser = new SSEParser();
+    this.choiceState = new Map();
+    this.lastUsage = null;
+  }
+
+  buildRequest() {
+    const action = this.stream ? 'streamGenerateContent' : 'generateContent';
+    return {
+      path: `/v1beta/models/${this.model}:${action}`,
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      query_params: this.stream ? { alt: 'sse' } : {},
+      body: JSON.stringify(this._buildGeminiBody())
+    };
+  }
+
+  _buildGeminiBody() {
+    const b = this.body;
+    const { contents, systemInstruction } = this._convertMessages(b.messages || []);
+    const gemini = { contents };
+    if (systemInstruction) gemini.systemInstruction = systemInstruction;
+
+    const tools = (b.tools || []).filter(t => t.type === 'function' && t.function);
+    if (tools.length) {
+      gemini.tools = [{
+        functionDeclarations: tools.map(t => {
+          const decl = { name: t.function.name, description: t.function.description || '' };
+          if (t.function.parameters && Object.keys(t.function.parameters.properties || {}).length) {
+            decl.parameters = sanitizeSchema(t.function.parameters);
+          }
+          return decl;
+        })
+      }];
+    }
+    if (b.tool_choice) {
+      const choice = b.tool_choice;
+      const config = { mode: 'AUTO' };
+      if (choice === 'none') config.mode = 'NONE';
+      else if (choice === 'required') config.mode = 'ANY';
+      else if (typeof choice === 'object' && choice.function) {
+        config.mode = 'ANY';
+        config.allowedFunctionNames = [choice.function.name];
+      }
+      gemini.toolConfig = { functionCallingConfig: config };
+    }
+
+    const gen = {};
+    if (b.temperature != null) gen.temperature = b.temperature;
+    if (b.top_p != null) gen.topP = b.top_p;
+    const maxTokens = b.max_completion_tokens != null ? b.max_completion_tokens : b.max_tokens;
+    if (maxTokens != null) gen.maxOutputTokens = maxTokens;
+    if (b.stop) gen.stopSequences = Array.isArray(b.stop) ? b.stop : [b.stop];
+    if (b.n != null) gen.candidateCount = b.n;
+    if (b.presence_penalty != null) gen.presencePenalty = b.presence_penalty;
+    if (b.frequency_penalty != null) gen.frequencyPenalty = b.frequency_penalty;
+    if (b.seed != null) gen.seed = b.seed;
+    if (b.response_format) {
+      if (b.response_format.type === 'json_object') gen.responseMimeType = 'application/json';
+      if (b.response_format.type === 'json_schema') {
+        gen.responseMimeType = 'application/json';
+        const schema = b.response_format.json_schema && b.response_format.json_schema.schema;
+        if (schema) gen.responseSchema = sanitizeSchema(schema);
+      }
+    }
+    if (b.reasoning_effort && b.reasoning_effort in REASONING_BUDGETS) {
+      gen.thinkingConfig = { thinkingBudget: REASONING_BUDGETS[b.reasoning_effort], includeThoughts: true };
+    }
+    if (Object.keys(gen).length) gemini.generationConfig = gen;
+    return gemini;
+  }
+
+  _convertMessages(messages) {
+    const contents = [];
+    const systemParts = [];
+    const toolNames = {};
+    const push = (role, parts) => {
+      if (!parts.length) return;
+      const last = contents[contents.length - 1];
+      // Gemini 要求角色交替，连续同角色消息需要合并
+      if (last && last.role === role) last.parts.push(...parts);
+      else contents.push({ role, parts });
+    };
+
+    for (const msg of messages) {
+      switch (msg.role) {
+        case 'system':
+        case 'developer':
+          systemParts.push(...this._convertContent(msg.content).filter(p => p.text != null));
+          break;
+        case 'assistant': {
+          const parts = this._convertContent(msg.content);
+          (msg.tool_calls || []).forEach(call => {
+            if (!call.function) return;
+            toolNames[call.id] = call.function.name;
+            let args = {};
+            try { args = JSON.parse(call.function.arguments || '{}'); } catch (e) {}
+            parts.push({ functionCall: { name: call.function.name, args } });
+          });
+          if (msg.function_call) {
+            let args = {};
+            try { args = JSON.parse(msg.function_call.arguments || '{}'); } catch (e) {}
+            parts.push({ functionCall: { name: msg.function_call.name, args } });
+          }
+          push('model', parts);
+          break;
+        }
+        case 'tool':
+        case 'function': {
+          const name = msg.role === 'tool' ? (toolNames[msg.tool_call_id] || msg.name || 'unknown') : msg.name;
+          const text = typeof msg.content === 'string'
+            ? msg.content
+            : this._convertContent(msg.content).map(p => p.text || '').join('');
+          let response;
+          try { response = JSON.parse(text); } catch (e) { response = null; }
+          if (!response || typeof response !== 'object' || Array.isArray(response)) response = { content: text };
+          push('user', [{ functionResponse: { name, response } }]);
+          break;
+        }
+        default:
+          push('user', this._convertContent(msg.content));
+      }
+    }
+    return {
+      contents,
+      systemInstruction: systemParts.length ? { parts: systemParts } : null
+    };
+  }
+
+  _convertContent(content) {
+    if (content == null) return [];
+    if (typeof content === 'string') return content ? [{ text: content }] : [];
+    const parts = [];
+    for (const item of content) {
+      if (item.type === 'text') {
+        parts.push({ text: item.text });
+      } else if (item.type === 'image_url' && item.image_url) {
+        const url = typeof item.image_url === 'string' ? item.image_url : item.image_url.url;
+        const inline = parseDataUrl(url);
+        parts.push(inline ? { inlineData: inline } : { fileData: { mimeType: guessMimeType(url), fileUri: url } });
+      } else if (item.type === 'input_audio' && item.input_audio) {
+        parts.push({ inlineData: { mimeType: `audio/${item.input_audio.format || 'wav'}`, data: item.input_audio.data } });
+      } else if (item.type === 'file' && item.file) {
+        const inline = parseDataUrl(item.file.file_data);
+        if (inline) parts.push({ inlineData: inline });
+      }
+    }
+    return parts;
+  }
+
+  _toolCall(part) {
+    return {
+      id: `call_${Math.random().toString(36).substr(2, 12)}`,
+      type: 'function',
+      function: { name: part.functionCall.name, arguments: JSON.stringify(part.functionCall.args || {}) }
+    };
+  }
+
+  _finishReason(candidate, hasToolCalls) {
+    if (!candidate.finishReason) return null;
+    if (hasToolCalls && candidate.finishReason === 'STOP') return 'tool_calls';
+    return OPENAI_FINISH_REASONS[candidate.finishReason] || 'stop';
+  }
+
+  _usage(meta) {
+    if (!meta) return undefined;
+    const completion = (meta.candidatesTokenCount || 0) + (meta.thoughtsTokenCount || 0);
+    const usage = {
+      prompt_tokens: meta.promptTokenCount || 0,
+      completion_tokens: completion,
+      total_tokens: meta.totalTokenCount || (meta.promptTokenCount || 0) + completion
+    };
+    if (meta.thoughtsTokenCount) usage.completion_tokens_details = { reasoning_tokens: meta.thoughtsTokenCount };
+    return usage;
+  }
+
+  _candidates(gemini) {
+    if (gemini.candidates && gemini.candidates.length) return gemini.candidates;
+    // 提示词被拦截时没有候选结果
+    if (gemini.promptFeedback && gemini.promptFeedback.blockReason) return [{ index: 0, content: { parts: [] }, finishReason: 'SAFETY' }];
+    return [];
+  }
+
+  translateResponse(gemini) {
+    const choices = this._candidates(gemini).map((c, i) => {
+      const parts = (c.content && c.content.parts) || [];
+      const text = parts.filter(p => p.text != null && !p.thought).map(p => p.text).join('');
+      const reasoning = parts.filter(p => p.text != null && p.thought).map(p => p.text).join('');
+      const toolCalls = parts.filter(p => p.functionCall).map(p => this._toolCall(p));
+      const message = { role: 'assistant', content: text || (toolCalls.length ? null : '') };
+      if (reasoning) message.reasoning_content = reasoning;
+      if (toolCalls.length) message.tool_calls = toolCalls;
+      return { index: c.index != null ? c.index : i, message, finish_reason: this._finishReason(c, toolCalls.length > 0) || 'stop' };
+    });
+    return {
+      id: this.id, object: 'chat.completion', created: this.created,
+      model: gemini.modelVersion || this.model, choices, usage: this._usage(gemini.usageMetadata)
+    };
+  }
+
+  _chunk(choices, extra = {}) {
+    return `data: ${JSON.stringify({ id: this.id, object: 'chat.completion.chunk', created: this.created, model: this.model, choices, ...extra })}\n\n`;
+  }
+
+  _translateEvent(gemini) {
+    if (gemini.usageMetadata) this.lastUsage = gemini.usageMetadata;
+    let out = '';
+    for (const [i, c] of this._candidates(gemini).entries()) {
+      const index = c.index != null ? c.index : i;
+      if (!this.choiceState.has(index)) this.choiceState.set(index, { started: false, toolIndex: 0 });
+      const state = this.choiceState.get(index);
+      const delta = {};
+      if (!state.started) { delta.role = 'assistant'; state.started = true; }
+
+      const parts = (c.content && c.content.parts) || [];
+      const text = parts.filter(p => p.text != null && !p.thought).map(p => p.text).join('');
+      const reasoning = parts.filter(p => p.text != null && p.thought).map(p => p.text).join('');
+      const toolCalls = parts.filter(p => p.functionCall).map(p => ({ index: state.toolIndex++, ...this._toolCall(p) }));
+      if (text) delta.content = text;
+      if (reasoning) delta.reasoning_content = reasoning;
+      if (toolCalls.length) delta.tool_calls = toolCalls;
+
+      if (Object.keys(delta).length) out += this._chunk([{ index, delta, finish_reason: null }]);
+      const finish = this._finishReason(c, state.toolIndex > 0);
+      if (finish) out += this._chunk([{ index, delta: {}, finish_reason: finish }]);
+    }
+    return out;
+  }
+
+  translateStreamChunk(text) {
+    return this.parser.push(text).map(e => this._translateEvent(e)).join('');
+  }
+
+  endStream() {
+    let out = this.parser.flush().map(e => this._translateEvent(e)).join('');
+    if (this.includeUsage && this.lastUsage) out += this._chunk([], { usage: this._usage(this.lastUsage) });
+    return out + 'data: [DONE]\n\n';
+  }
+
+  // 假流式模式下上游返回完整 JSON，整体转换为一组流式分片
+  translateFullToStream(text) {
+    let gemini;
+    try { gemini = JSON.parse(text); } catch (e) { return this.errorEvent('Invalid upstream response'); }
+    return this._translateEvent(gemini) + this.endStream();
+  }
+
+  keepAliveChunk() {
+    return this._chunk([{ index: 0, delta: {}, finish_reason: null }]);
+  }
+
+  errorBody(message, status = 500) {
+    return { error: { message, type: status >= 500 ? 'api_error' : 'invalid_request_error', code: status } };
+  }
+
+  errorEvent(message, status) {
+    return `data: ${JSON.stringify(this.errorBody(message, status))}\n\ndata: [DONE]\n\n`;
+  }
+}
+
+class OpenAIModelsTranslator {
+  constructor(modelId = null) {
+    this.format = 'openai';
+    this.modelId = modelId;
+    this.model = modelId ? String(modelId).replace(/^models\//, '') : null;
+    this.stream = false;
+  }
+
+  buildRequest() {
+    return {
+      path: this.model ? `/v1beta/models/${this.model}` : '/v1beta/models',
+      method: 'GET',
+      headers: {},
+      query_params: this.modelId ? {} : { pageSize: '1000' },
+      body: ''
+    };
+  }
+
+  _model(m) {
+    return { id: m.name.replace(/^models\//, ''), object: 'model', created: 0, owned_by: 'google' };
+  }
+
+  translateResponse(gemini) {
+    if (this.modelId) return this._model(gemini);
+    return { object: 'list', data: (gemini.models || []).map(m => this._model(m)) };
+  }
+
+  errorBody(message, status = 500) {
+    return { error: { message, type: status >= 500 ? 'api_error' : 'invalid_request_error', code: status } };
+  }
+}
+
+// ===================================================================================
+// 格式转换模块 (Anthropic Messages <-> Gemini)
+// ===================================================================================
+const ANTHROPIC_STOP_REASONS = {
+  STOP: 'end_turn', MAX_TOKENS: 'max_tokens', SAFETY: 'refusal', RECITATION: 'refusal',
+  BLOCKLIST: 'refusal', PROHIBITED_CONTENT: 'refusal', SPII: 'refusal', IMAGE_SAFETY: 'refusal'
+};
+const ANTHROPIC_ERROR_TYPES = {
+  400: 'invalid_request_error', 401: 'authentication_error', 403: 'permission_error',
+  404: 'not_found_error', 413: 'request_too_large', 429: 'rate_limit_error', 529: 'overloaded_error'
+};
+
+class AnthropicTranslator {
+  constructor(body) {
+    this.format = 'anthropic';
+    this.body = body;
+    this.model = translatedModelName(body);
+    this.stream = !!body.stream;
+    this.id = `msg_${Date.now().toString(36)}${Math.random().toString(36).substr(2, 12)}`;
+    this.parser = new SSEParser();
+    this.started = false;
+    this.block = null;
+    this.blockIndex = 0;
+    this.usedTools = false;
+    this.stopReason = null;
+    this.lastUsage = null;
+  }
+
+  buildRequest() {
+    const action = this.stream ? 'streamGenerateContent' : 'generateContent';
+    return {
+      path: `/v1beta/models/${this.model}:${action}`,
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      query_params: this.stream ? { alt: 'sse' } : {},
+      body: JSON.stringify(this._buildGeminiBody())
+    };
+  }
+
+  _buildGeminiBody() {
+    const b = this.body;
+    const gemini = { contents: this._convertMessages(b.messages || []) };
+
+    const system = typeof b.system === 'string' ? [{ text: b.system }]
+      : (b.system || []).filter(s => s.type === 'text').map(s => ({ text: s.text }));
+    if (system.length && system.some(p => p.text)) gemini.systemInstruction = { parts: system };
+
+    const tools = (b.tools || []).filter(t => t.name && t.input_schema);
+    if (tools.length) {
+      gemini.tools = [{
+        functionDeclarations: tools.map(t => {
+          const decl = { name: t.name, description: t.description || '' };
+          if (Object.keys(t.input_schema.properties || {}).length) decl.parameters = sanitizeSchema(t.input_schema);
+          return decl;
+        })
+      }];
+    }
+    if (b.tool_choice) {
+      const modes = { auto: 'AUTO', any: 'ANY', tool: 'ANY', none: 'NONE' };
+      const config = { mode: modes[b.tool_choice.type] || 'AUTO' };
+      if (b.tool_choice.type === 'tool') config.allowedFunctionNames = [b.tool_choice.name];
+      gemini.toolConfig = { functionCallingConfig: config };
+    }
+
+    const gen = {};
+    if (b.max_tokens != null) gen.maxOutputTokens = b.max_tokens;
+    if (b.temperature != null) gen.temperature = b.temperature;
+    if (b.top_p != null) gen.topP = b.top_p;
+    if (b.top_k != null) gen.topK = b.top_k;
+    if (b.stop_sequences && b.stop_sequences.length) gen.stopSequences = b.stop_sequences;
+    if (b.thinking) {
+      gen.thinkingConfig = b.thinking.type === 'enabled'
+        ? { thinkingBudget: b.thinking.budget_tokens, includeThoughts: true }
+        : { thinkingBudget: 0 };
+    }
+    if (Object.keys(gen).length) gemini.generationConfig = gen;
+    return gemini;
+  }
+
+  _convertMessages(messages) {
+    const contents = [];
+    const toolNames = {};
+    for (const msg of messages) {
+      const role = msg.role === 'assistant' ? 'model' : 'user';
+      const blocks = typeof msg.content === 'string' ? [{ type: 'text', text: msg.content }] : (msg.content || []);
+      const parts = [];
+      for (const block of blocks) {
+        switch (block.type) {
+          case 'text':
+            if (block.text) parts.push({ text: block.text });
+            break;
+          case 'image':
+          case 'document': {
+            const src = block.source || {};
+            if (src.type === 'base64') parts.push({ inlineData: { mimeType: src.media_type, data: src.data } });
+            else if (src.type === 'url') parts.push({ fileData: { mimeType: guessMimeType(src.url), fileUri: src.url } });
+            else if (src.type === 'text') parts.push({ text: src.data });
+            break;
+          }
+          case 'tool_use':
+            toolNames[block.id] = block.name;
+            parts.push({ functionCall: { name: block.name, args: block.input || {} } });
+            break;
+          case 'tool_result': {
+            const text = typeof block.content === 'string' ? block.content
+              : (block.content || []).filter(c => c.type === 'text').map(c => c.text).join('');
+            const key = block.is_error ? 'error' : 'content';
+            parts.push({ functionResponse: { name: toolNames[block.tool_use_id] || 'unknown', response: { [key]: text } } });
+            break;
+          }
+        }
+      }
+      if (!parts.length) continue;
+      const last = contents[contents.length - 1];
+      if (last && last.role === role) last.parts.push(...parts);
+      else contents.push({ role, parts });
+    }
+    return contents;
+  }
+
+  _usage(meta) {
+    return {
+      input_tokens: (meta && meta.promptTokenCount) || 0,
+      output_tokens: meta ? (meta.candidatesTokenCount || 0) + (meta.thoughtsTokenCount || 0) : 0
+    };
+  }
+
+  _stopReason(candidate) {
+    if (this.usedTools && candidate.finishReason === 'STOP') return 'tool_use';
+    return ANTHROPIC_STOP_REASONS[candidate.finishReason] || 'end_turn';
+  }
+
+  _toolId() {
+    return `toolu_${Math.random().toString(36).substr(2, 12)}${Math.random().toString(36).substr(2, 12)}`;
+  }
+
+  _candidate(gemini) {
+    if (gemini.candidates && gemini.candidates.length) return gemini.candidates[0];
+    if (gemini.promptFeedback && gemini.promptFeedback.blockReason) return { content: { parts: [] }, finishReason: 'SAFETY' };
+    return null;
+  }
+
+  translateResponse(gemini) {
+    const candidate = this._candidate(gemini) || { content: { parts: [] } };
+    const content = [];
+    for (const p of (candidate.content && candidate.content.parts) || []) {
+      if (p.functionCall) {
+        this.usedTools = true;
+        content.push({ type: 'tool_use', id: this._toolId(), name: p.functionCall.name, input: p.functionCall.args || {} });
+      } else if (p.text != null && p.thought) {
+        content.push({ type: 'thinking', thinking: p.text, signature: p.thoughtSignature || '' });
+      } else if (p.text != null) {
+        const last = content[content.length - 1];
+        if (last && last.type === 'text') last.text += p.text;
+        else content.push({ type: 'text', text: p.text });
+      }
+    }
+    return {
+      id: this.id, type: 'message', role: 'assistant', model: this.model, content,
+      stop_reason: this._stopReason(candidate), stop_sequence: null, usage: this._usage(gemini.usageMetadata)
+    };
+  }
+
+  _event(type, data) {
+    return `event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`;
+  }
+
+  _start() {
+    if (this.started) return '';
+    this.started = true;
+    return this._event('message_start', {
+      message: {
+        id: this.id, type: 'message', role: 'assistant', model: this.model, content: [],
+        stop_reason: null, stop_sequence: null, usage: this._usage(this.lastUsage)
+      }
+    });
+  }
+
+  _closeBlock() {
+    if (!this.block) return '';
+    const out = this._event('content_block_stop', { index: this.block.index });
+    this.block = null;
+    return out;
+  }
+
+  _openBlock(type, contentBlock) {
+    const out = this._closeBlock();
+    this.block = { type, index: this.blockIndex++ };
+    return out + this._event('content_block_start', { index: this.block.index, content_block: contentBlock });
+  }
+
+  _translateEvent(gemini) {
+    if (gemini.usageMetadata) this.lastUsage = gemini.usageMetadata;
+    let out = this._start();
+    const candidate = this._candidate(gemini);
+    if (!candidate) return out;
+
+    for (const p of (candidate.content && candidate.content.parts) || []) {
+      if (p.functionCall) {
+        this.usedTools = true;
+        out += this._openBlock('tool_use', { type: 'tool_use', id: this._toolId(), name: p.functionCall.name, input: {} });
+        out += this._event('content_block_delta', { index: this.block.index, delta: { type: 'input_json_delta', partial_json: JSON.stringify(p.functionCall.args || {}) } });
+        out += this._closeBlock();
+      } else if (p.text != null && p.thought) {
+        if (!this.block || this.block.type !== 'thinking') out += this._openBlock('thinking', { type: 'thinking', thinking: '' });
+        out += this._event('content_block_delta', { index: this.block.index, delta: { type: 'thinking_delta', thinking: p.text } });
+      } else if (p.text) {
+        if (!this.block || this.block.type !== 'text') out += this._openBlock('text', { type: 'text', text: '' });
+        out += this._event('content_block_delta', { index: this.block.index, delta: { type: 'text_delta', text: p.text } });
+      }
+    }
+    if (candidate.finishReason) this.stopReason = this._stopReason(candidate);
+    return out;
+  }
+
+  translateStreamChunk(text) {
+    return this.parser.push(text).map(e => this._translateEvent(e)).join('');
+  }
+
+  endStream() {
+    let out = this.parser.flush().map(e => this._translateEvent(e)).join('');
+    out += this._start() + this._closeBlock();
+    out += this._event('message_delta', {
+      delta: { stop_reason: this.stopReason || 'end_turn', stop_sequence: null },
+      usage: this._usage(this.lastUsage)
+    });
+    return out + this._event('message_stop', {});
+  }
+
+  translateFullToStream(text) {
+    let gemini;
+    try { gemini = JSON.parse(text); } catch (e) { return this.errorEvent('Invalid upstream response'); }
+    return this._translateEvent(gemini) + this.endStream();
+  }
+
+  // 假流式等待期间：先发送 message_start，之后用 ping 保活
+  keepAliveChunk() {
+    return this._start() || this._event('ping', {});
+  }
+
+  errorBody(message, status = 500) {
+    return { type: 'error', error: { type: ANTHROPIC_ERROR_TYPES[status] || 'api_error', message } };
+  }
+
+  errorEvent(message, status) {
+    return `event: error\ndata: ${JSON.stringify(this.errorBody(message, status))}\n\n`;
+  }
+}
+
+// ===================================================================================
+// 用量统计模块 (按请求记录，JSON Lines 持久化)
+// ===================================================================================
+const DURATION_UNITS = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+// 内存中最多保留的用量记录条数，超出时丢弃最早的记录
+const USAGE_MAX_RECORDS = 100000;
+
+function parseDuration(value, fallback) {
+  const match = /^(\d+)([smhd])$/.exec(String(value || ''));
+  return match ? parseInt(match[1], 10) * DURATION_UNITS[match[2]] : fallback;
+}
+
+function maskApiKey(key) {
+  if (!key) return null;
+  return key.length <= 8 ? `${key.slice(0, 2)}***` : `${key.slice(0, 4)}…${key.slice(-4)}`;
+}
+
+// 从上游原始响应 (SSE、JSON 或 JSON 数组) 中提取最后一次出现的 usageMetadata
+class UsageObserver {
+  constructor() {
+    this.parser = new SSEParser();
+    this.sse = null;
+    this.raw = '';
+    this.usage = null;
+  }
+
+  push(text) {
+    if (this.sse === null) this.sse = /^\s*data:/.test(text);
+    if (this.sse) {
+      this.parser.push(text).forEach(e => { if (e.usageMetadata) this.usage = e.usageMetadata; });
+    } else {
+      this.raw += text;
+    }
+  }
+
+  finish() {
+    if (this.sse) {
+      this.parser.flush().forEach(e => { if (e.usageMetadata) this.usage = e.usageMetadata; });
+    } else if (this.raw) {
+      try {
+        const body = JSON.parse(this.raw);
+        (Array.isArray(body) ? body : [body]).forEach(e => { if (e && e.usageMetadata) this.usage = e.usageMetadata; });
+      } catch (e) {}
+    }
+    if (!this.usage) return null;
+    return {
+      promptTokens: this.usage.promptTokenCount || 0,
+      completionTokens: (this.usage.candidatesTokenCount || 0) + (this.usage.thoughtsTokenCount || 0),
+      totalTokens: this.usage.totalTokenCount || 0
+    };
+  }
+}
+
+class UsageRecorder {
+  constructor(logger, config, stats) {
+    this.logger = logger;
+    this.config = config;
+    this.stats = stats;
+    this.records = [];
+    this.writeChain = Promise.resolve();
+    this.compactedAt = Date.now();
+    this._load();
+  }
+
+  get retentionMs() { return this.config.usageRetentionDays * DURATION_UNITS.d; }
+
+  _load() {
+    const file = this.config.usageLogFile;
+    if (!file || !fs.existsSync(file)) return;
+    const cutoff = Date.now() - this.retentionMs;
+    let lines = 0;
+    try {
+      for (const line of fs.readFileSync(file, 'utf-8').split('\n')) {
+        if (!line.trim()) continue;
+        lines++;
+        try {
+          const record = JSON.parse(line);
+          if (record.at >= cutoff) this.records.push(record);
+        } catch (e) {}
+      }
+    } catch (e) {
+      this.logger.warn(`[用量] 读取 ${file} 失败: ${e.message}`);
+      return;
+    }
+    this._trim();
+    // 文件中有过期或超出上限的记录时立即重写，文件大小同样受保留天数约束
+    if (lines > this.records.length) this._compact();
+    // 用历史记录恢复仪表盘上的累计调用数
+    this.stats.totalCalls = this.records.length;
+    for (const r of this.records) this._countAccount(r);
+    this.logger.info(`[用量] 已从 ${file} 恢复 ${this.records.length} 条请求记录`);
+  }
+
+  _countAccount(record) {
+    if (record.authIndex === null || record.authIndex === undefined) return;
+    const calls = this.stats.accountCalls[record.authIndex] || (this.stats.accountCalls[record.authIndex] = { total: 0, models: {} });
+    calls.total++;
+    if (record.model) calls.models[record.model] = (calls.models[record.model] || 0) + 1;
+  }
+
+  // 丢弃超出保留天数与条数上限的记录
+  _trim() {
+    const cutoff = Date.now() - this.retentionMs;
+    let drop = Math.max(0, this.records.length - USAGE_MAX_RECORDS);
+    while (drop < this.records.length && this.records[drop].at < cutoff) drop++;
+    if (drop) this.records.splice(0, drop);
+  }
+
+  // 用内存中保留的记录重写用量文件 (先写临时文件再替换)。内容在调度时确定，
+  // 之前排队的追加会先完成并被覆盖，之后的追加写入新文件，记录不会重复或丢失
+  _compact() {
+    const file = this.config.usageLogFile;
+    if (!file) return;
+    this.compactedAt = Date.now();
+    this._trim();
+    const content = this.records.map(r => JSON.stringify(r) + '\n').join('');
+    this.writeChain = this.writeChain.then(async () => {
+      const tmp = `${file}.tmp`;
+      try {
+        await fs.promises.writeFile(tmp, content);
+        await fs.promises.rename(tmp, file);
+      } catch (e) {
+        this.logger.warn(`[用量] 重写 ${file} 失败: ${e.message}`);
+      }
+    });
+  }
+
+  add(record) {
+    const file = this.config.usageLogFile;
+    // 每天重写一次文件，清理追加写入后已过期的记录 (在加入本条记录之前，本条随后单独追加)
+    if (file && Date.now() - this.compactedAt >= DURATION_UNITS.d) this._compact();
+    this.records.push(record);
+    this._trim();
+
+    if (!file) return;
+    this.writeChain = this.writeChain.then(async () => {
+      try {
+        await fs.promises.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+        await fs.promises.appendFile(file, JSON.stringify(record) + '\n');
+      } catch (e) {
+        this.logger.warn(`[用量] 写入 ${file} 失败: ${e.message}`);
+      }
+    });
+  }
+
+  _aggregate(records) {
+    const agg = { requests: records.length, errors: 0, avgLatencyMs: 0, avgFirstByteMs: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+    let latency = 0, firstByte = 0, firstByteCount = 0;
+    for (const r of records) {
+      if (r.status >= 400 || r.error) agg.errors++;
+      latency += r.latencyMs || 0;
+      if (r.firstByteMs != null) { firstByte += r.firstByteMs; firstByteCount++; }
+      if (r.usage) {
+        agg.promptTokens += r.usage.promptTokens;
+        agg.completionTokens += r.usage.completionTokens;
+        agg.totalTokens += r.usage.totalTokens;
+      }
+    }
+    if (records.length) agg.avgLatencyMs = Math.round(latency / records.length);
+    if (firstByteCount) agg.avgFirstByteMs = Math.round(firstByte / firstByteCount);
+    return agg;
+  }
+
+  _groupBy(records, key) {
+    const groups = {};
+    for (const r of records) {
+      const k = r[key] ?? 'unknown';
+      (groups[k] || (groups[k] = [])).push(r);
+    }
+    return Object.fromEntries(Object.entries(groups).map(([k, list]) => [k, this._aggregate(list)]));
+  }
+
+  // 按时间窗口聚合；bucketMs 决定时间线的粒度，默认将窗口分为约 24 段
+  query({ since, until = Date.now(), bucketMs, model, account, apiKey } = {}) {
+    const records = this.records.filter(r => r.at >= since && r.at < until
+      && (!model || r.model === model)
+      && (account === undefined || r.authIndex === account)
+      && (!apiKey || r.apiKey === apiKey));
+    const bucket = bucketMs || Math.max(60000, Math.ceil((until - since) / 24));
+    const timeline = [];
+    for (let start = since; start < until; start += bucket) {
+      timeline.push({ start, ...this._aggregate(records.filter(r => r.at >= start && r.at < start + bucket)) });
+    }
+    return {
+      since, until, bucketMs: bucket,
+      totals: this._aggregate(records),
+      byModel: this._groupBy(records, 'model'),
+      byAccount: this._groupBy(records, 'authIndex'),
+      byApiKey: this._groupBy(records, 'apiKey'),
+      byStatus: Object.fromEntries(Object.entries(this._groupBy(records, 'status')).map(([k, v]) => [k, v.requests])),
+      timeline
+    };
+  }
+}
+
+// ===================================================================================
+// 监控指标模块 (Prometheus 文本格式)
+// ===================================================================================
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  const escape = v => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+  return `{${entries.map(([k, v]) => `${k}="${escape(v)}"`).join(',')}}`;
+}
+
+// 计数器与仪表：按标签组合存储数值
+class MetricFamily {
+  constructor(name, help, type) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.values = new Map();
+  }
+
+  _entry(labels) {
+    const key = formatLabels(labels);
+    if (!this.values.has(key)) this.values.set(key, { labels, value: 0 });
+    return this.values.get(key);
+  }
+
+  inc(labels = {}, value = 1) { this._entry(labels).value += value; }
+  set(labels = {}, value) { this._entry(labels).value = value; }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const [key, { value }] of this.values) lines.push(`${this.name}${key} ${value}`);
+    return lines.join('\n');
+  }
+}
+
+class Histogram extends MetricFamily {
+  constructor(name, help, buckets = LATENCY_BUCKETS) {
+    super(name, help, 'histogram');
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const key = formatLabels(labels);
+    if (!this.values.has(key)) this.values.set(key, { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+    const entry = this.values.get(key);
+    this.buckets.forEach((b, i) => { if (value <= b) entry.counts[i]++; });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const { labels, counts, sum, count } of this.values.values()) {
+      this.buckets.forEach((b, i) => lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: b })} ${counts[i]}`));
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+// 订阅 RequestHandler、BrowserManager 的事件累计指标，连接数等瞬时值在抓取时读取
+class MetricsCollector {
+  constructor(system) {
+    this.system = system;
+    this.requests = new MetricFamily('aistudio_proxy_requests_total', '已完成的请求数', 'counter');
+    this.tokens = new MetricFamily('aistudio_proxy_tokens_total', '上游返回的 token 用量', 'counter');
+    this.duration = new Histogram('aistudio_proxy_request_duration_seconds', '请求总耗时');
+    this.firstChunk = new Histogram('aistudio_proxy_first_chunk_seconds', '从收到请求到第一个上游数据块的耗时');
+    this.retries = new MetricFamily('aistudio_proxy_retries_total', '因上游错误发起的重试次数', 'counter');
+    this.switches = new MetricFamily('aistudio_proxy_account_switches_total', '账号切换次数', 'counter');
+    this.browserUp = new MetricFamily('aistudio_proxy_browser_up', '账号浏览器实例是否在运行 (1/0)', 'gauge');
+    this.browserRestarts = new MetricFamily('aistudio_proxy_browser_disconnects_total', '浏览器意外断开次数', 'counter');
+    this.connections = new MetricFamily('aistudio_proxy_websocket_connections', '当前活动的浏览器 WebSocket 连接数', 'gauge');
+    this.inflight = new MetricFamily('aistudio_proxy_inflight_requests', '进行中的请求数', 'gauge');
+    this.waiting = new MetricFamily('aistudio_proxy_queue_waiting', '等待浏览器连接的请求数', 'gauge');
+
+    const { handler, browserMgr } = system;
+    handler.on('requestComplete', r => this._onRequest(r));
+    handler.on('retry', ({ authIndex, category }) => this.retries.inc({ account: authIndex ?? 'none', reason: category }));
+    browserMgr.on('switchDone', () => this.switches.inc({ result: 'success' }));
+    browserMgr.on('switchFailed', () => this.switches.inc({ result: 'failure' }));
+    browserMgr.on('launched', ({ authIndex }) => this.browserUp.set({ account: authIndex }, 1));
+    browserMgr.on('closed', ({ authIndex }) => this.browserUp.set({ account: authIndex }, 0));
+    browserMgr.on('disconnected', ({ authIndex }) => {
+      this.browserUp.set({ account: authIndex }, 0);
+      this.browserRestarts.inc({ account: authIndex });
+    });
+  }
+
+  _onRequest(record) {
+    const account = record.authIndex ?? 'none';
+    this.requests.inc({ route: record.format, model: record.model || 'none', status: record.status, account });
+    this.duration.observe({ route: record.format }, record.latencyMs / 1000);
+    if (record.firstByteMs !== null) this.firstChunk.observe({ route: record.format }, record.firstByteMs / 1000);
+    if (record.usage) {
+      const model = record.model || 'none';
+      this.tokens.inc({ model, type: 'prompt' }, record.usage.promptTokens);
+      this.tokens.inc({ model, type: 'completion' }, record.usage.completionTokens);
+    }
+  }
+
+  render() {
+    const { registry, handler } = this.system;
+    this.connections.values.clear();
+    for (const conn of registry.getSummary()) this.connections.inc({ account: conn.authIndex ?? 'none' });
+    this.inflight.set({}, handler.inflight.size);
+    this.waiting.set({}, handler.waiting);
+
+    return [
+      this.requests, this.tokens, this.duration, this.firstChunk, this.retries, this.switches,
+      this.browserUp, this.browserRestarts, this.connections, this.inflight, this.waiting
+    ].map(m => m.render()).join('\n') + '\n';
+  }
+}
+
+// ===================================================================================
+// 实时监控模块 (仪表盘实时请求与日志)
+// ===================================================================================
+const LIVE_REQUEST_BUFFER = 200;
+const LIVE_LOG_BUFFER = 500;
+
+// 保存最近的请求与日志，并向仪表盘的订阅者推送新条目
+class LiveMonitor extends EventEmitter {
+  constructor(system) {
+    super();
+    this.requests = [];
+    this.logs = [];
+    this.setMaxListeners(0);
+    system.logger.subscribe(entry => this._push(this.logs, LIVE_LOG_BUFFER, 'log', entry));
+    system.handler.on('requestComplete', record => this._push(this.requests, LIVE_REQUEST_BUFFER, 'request', {
+      id: record.id, at: record.at, method: record.method, path: record.path, model: record.model,
+      authIndex: record.authIndex, status: record.status, latencyMs: record.latencyMs,
+      retries: Math.max(0, record.attempts - 1), error: record.error
+    }));
+  }
+
+  _push(buffer, max, event, item) {
+    buffer.push(item);
+    if (buffer.length > max) buffer.shift();
+    this.emit(event, item);
+  }
+
+  // status 支持 200 / 4xx / 5xx / error，account 为账号索引，level 为最低日志级别
+  static parseFilter(query) {
+    return {
+      status: query.status || null,
+      account: query.account !== undefined && query.account !== '' ? parseInt(query.account, 10) : null,
+      level: LOG_LEVELS[query.level] || LOG_LEVELS.debug
+    };
+  }
+
+  static matchRequest(item, filter) {
+    if (filter.account !== null && item.authIndex !== filter.account) return false;
+    if (!filter.status) return true;
+    if (filter.status === 'error') return item.status >= 400 || !!item.error;
+    if (/^\dxx$/.test(filter.status)) return Math.floor(item.status / 100) === Number(filter.status[0]);
+    return String(item.status) === filter.status;
+  }
+
+  static matchLog(entry, filter) {
+    if (LOG_LEVELS[entry.level] < filter.level) return false;
+    return filter.account === null || entry.authIndex === undefined || entry.authIndex === filter.account;
+  }
+
+  snapshot(filter) {
+    return {
+      requests: this.requests.filter(r => LiveMonitor.matchRequest(r, filter)),
+      logs: this.logs.filter(l => LiveMonitor.matchLog(l, filter))
+    };
+  }
+}
+
+// ===================================================================================
+// API 密钥模块 (按密钥的模型范围、速率限制与每日 token 配额)
+// ===================================================================================
+function secondsUntilPacificMidnight() {
+  const [h, m, s] = new Date().toLocaleTimeString('en-GB', { timeZone: 'America/Los_Angeles', hourCycle: 'h23' }).split(':').map(Number);
+  return 86400 - (h * 3600 + m * 60 + s);
+}
+
+class ApiKeyManager {
+  constructor(logger, config, usage) {
+    this.logger = logger;
+    this.config = config;
+    // 密钥名称 -> { minute: 最近一分钟的请求时间戳, date, tokens, requests }
+    this.counters = new Map();
+    this._source = null;
+    this._keys = new Map();
+
+    // 从持久化的用量记录恢复当天已消耗的 token
+    const today = AccountStateTracker.today();
+    for (const record of usage.records) {
+      if (!record.apiKey || new Date(record.at).toLocaleDateString('en-CA', { timeZone: 'America/Los_Angeles' }) !== today) continue;
+      const counter = this._counter(record.apiKey);
+      counter.requests++;
+      counter.tokens += record.usage ? record.usage.totalTokens : 0;
+    }
+  }
+
+  // config.apiKeys 中的字符串视为不受限制的管理员密钥 (兼容旧配置)，对象可设置:
+  // { key, name, admin, models: ["gemini-2.5-*"], rpm, tokensPerDay, expiresAt }
+  get keys() {
+    if (this._source !== this.config.apiKeys) {
+      this._source = this.config.apiKeys;
+      this._keys = new Map();
+      for (const item of [].concat(this.config.apiKeys || [])) {
+        const entry = typeof item === 'string' ? { key: item, admin: true } : { ...item };
+        if (!entry.key) continue;
+        entry.name = entry.name || maskApiKey(entry.key);
+        entry.expiresAt = entry.expiresAt ? new Date(entry.expiresAt).getTime() : null;
+        this._keys.set(entry.key, entry);
+      }
+    }
+    return this._keys;
+  }
+
+  get enabled() { return this.keys.size > 0; }
+
+  authenticate(key) { return (key && this.keys.get(key)) || null; }
+
+  // 未配置任何密钥时仪表盘对所有人开放 (与代理接口一致)
+  isAdmin(key) {
+    if (!this.enabled) return true;
+    const entry = this.authenticate(key);
+    return !!entry && !!entry.admin && !this._expired(entry);
+  }
+
+  _expired(entry) { return entry.expiresAt !== null && Date.now() >= entry.expiresAt; }
+
+  _counter(name) {
+    const today = AccountStateTracker.today();
+    let counter = this.counters.get(name);
+    if (!counter || counter.date !== today) {
+      counter = { minute: counter ? counter.minute : [], date: today, tokens: 0, requests: 0 };
+      this.counters.set(name, counter);
+    }
+    return counter;
+  }
+
+  _modelAllowed(entry, model) {
+    const name = model.replace(/^models\//, '');
+    // 路径分隔符、.. 与百分号编码会在上游被解析成其他模型，无法按名称判断权限
+    if (/[/%]|\.\./.test(name)) return false;
+    return entry.models.some(pattern => pattern.endsWith('*') ? name.startsWith(pattern.slice(0, -1)) : name === pattern);
+  }
+
+  // 检查密钥能否发起本次请求，通过时计入速率窗口；失败返回 { ok: false, status, message, retryAfter? }。
+  // models 为请求涉及的模型，null 表示该接口无需指明模型；限定了模型的密钥必须指明且全部在允许范围内
+  admit(entry, models) {
+    if (this._expired(entry)) return { ok: false, status: 401, message: `API Key "${entry.name}" has expired` };
+    if (entry.models && entry.models.length && models) {
+      if (!models.length) return { ok: false, status: 403, message: `API Key "${entry.name}" is restricted to specific models and the request does not name one` };
+      const denied = models.find(model => !this._modelAllowed(entry, model));
+      if (denied !== undefined) return { ok: false, status: 403, message: `API Key "${entry.name}" is not allowed to use model ${denied}` };
+    }
+
+    const counter = this._counter(entry.name);
+    const now = Date.now();
+    counter.minute = counter.minute.filter(t => now - t < 60000);
+    if (entry.rpm && counter.minute.length >= entry.rpm) {
+      return { ok: false, status: 429, message: `Rate limit exceeded for API Key "${entry.name}" (${entry.rpm} requests per minute)`, retryAfter: Math.ceil((counter.minute[0] + 60000 - now) / 1000) };
+    }
+    if (entry.tokensPerDay && counter.tokens >= entry.tokensPerDay) {
+      return { ok: false, status: 429, message: `Daily token quota exceeded for API Key "${entry.name}" (${entry.tokensPerDay} tokens)`, retryAfter: secondsUntilPacificMidnight() };
+    }
+    counter.minute.push(now);
+    counter.requests++;
+    return { ok: true };
+  }
+
+  recordUsage(name, usage) {
+    if (name && usage) this._counter(name).tokens += usage.totalTokens;
+  }
+
+  getSnapshot() {
+    return [...this.keys.values()].map(entry => {
+      const counter = this._counter(entry.name);
+      return {
+        name: entry.name, admin: !!entry.admin, models: entry.models || [], rpm: entry.rpm || null,
+        tokensPerDay: entry.tokensPerDay || null, expiresAt: entry.expiresAt, expired: this._expired(entry),
+        usage: { requestsLastMinute: counter.minute.filter(t => Date.now() - t < 60000).length, requestsToday: counter.requests, tokensToday: counter.tokens }
+      };
+    });
+  }
+}
+
+// ===================================================================================
+// Gemini File API (可续传上传、文件查询与删除)
+// ===================================================================================
+// 文件与上传会话只属于创建它们的账号，后续的上传分片、文件查询以及引用该文件的生成请求都需要发往同一账号
+const FILE_API_PATH = /^\/(upload\/)?v1(alpha|beta)?\/files(\/|$)/;
+// Gemini 上传的文件保留 48 小时
+const FILE_AFFINITY_TTL = 48 * 3600 * 1000;
+
+class FileAffinity {
+  constructor() {
+    // upload_id 或 files/xxx -> { authIndex, at }
+    this.owners = new Map();
+    // proxyReq -> 请求体中引用的文件名，重试时不再重复解析
+    this.references = new WeakMap();
+  }
+
+  remember(key, authIndex) {
+    if (authIndex !== null && authIndex !== undefined) this.owners.set(key, { authIndex, at: Date.now() });
+  }
+
+  // 按查询参数中的 upload_id、路径中的文件名或请求体中引用的 fileUri 查找所属账号
+  lookup(proxyReq) {
+    const cutoff = Date.now() - FILE_AFFINITY_TTL;
+    for (const [key, owner] of this.owners) if (owner.at < cutoff) this.owners.delete(key);
+    if (!this.owners.size) return null;
+
+    const keys = [];
+    if (proxyReq.query_params && proxyReq.query_params.upload_id) keys.push(proxyReq.query_params.upload_id);
+    const inPath = /\b(files\/[\w-]+)/.exec(proxyReq.path);
+    if (inPath) keys.push(inPath[1]);
+    if (!this.references.has(proxyReq)) this.references.set(proxyReq, this._referencedFiles(proxyReq));
+    keys.push(...this.references.get(proxyReq));
+    const key = keys.find(k => this.owners.has(k));
+    return key ? this.owners.get(key).authIndex : null;
+  }
+
+  // 生成类请求在 contents / systemInstruction 的 fileData.fileUri 中引用文件。
+  // File API 请求 (上传分片、文件查询) 与非 JSON 请求体不做解析
+  _referencedFiles(proxyReq) {
+    const type = (proxyReq.headers && proxyReq.headers['content-type']) || '';
+    if (!proxyReq.body || FILE_API_PATH.test(proxyReq.path) || !/json/i.test(type)) return [];
+    let body;
+    try { body = JSON.parse(proxyReq.body.toString()); } catch (e) { return []; }
+    if (!body || typeof body !== 'object') return [];
+    return [].concat(body.contents || [], body.systemInstruction || [])
+      .flatMap(content => (content && Array.isArray(content.parts) ? content.parts : []))
+      .map(part => part && part.fileData && typeof part.fileData.fileUri === 'string' && /\b(files\/[\w-]+)$/.exec(part.fileData.fileUri))
+      .filter(Boolean)
+      .map(match => match[1]);
+  }
+
+  // 从响应中记录新的上传会话 (X-Goog-Upload-URL) 与文件名 (上传完成、查询、列表的响应体)
+  recordResponse(headers, bodyText, authIndex) {
+    const uploadUrl = headers['x-goog-upload-url'];
+    if (uploadUrl) {
+      try {
+        const id = new URL(uploadUrl).searchParams.get('upload_id');
+        if (id) this.remember(id, authIndex);
+      } catch (e) {}
+    }
+    let data;
+    try { data = JSON.parse(bodyText); } catch (e) { return; }
+    [data, data.file, ...(Array.isArray(data.files) ? data.files : [])].forEach(f => {
+      if (f && typeof f.name === 'string' && f.name.startsWith('files/')) this.remember(f.name, authIndex);
+    });
+  }
+}
+
+// ===================================================================================
+// 故障转移策略
+// ===================================================================================
+// 账号切换期间请求等待新浏览器连接的最长时间
+const SWITCH_WAIT_TIMEOUT = 180000;
+
+class ProxyError extends Error {
+  constructor(message, status = 500, { upstream = false, body = null, headers = {} } = {}) {
+    super(message);
+    this.status = status;
+    // upstream 表示该状态码由 Google 返回，而不是代理自身产生的错误
+    this.upstream = upstream;
+    this.body = body;
+    this.headers = headers;
+    this.category = FailoverPolicy.classify(status);
+  }
+}
+
+// 请求各阶段的超时: connect 为收到响应头前，firstByte 为首个响应分片前，chunk 为分片间隔，total 为整个请求
+const TIMEOUT_PHASES = {
+  connect: { code: 'CONNECT_TIMEOUT', config: 'connectTimeout', label: 'Connect' },
+  firstByte: { code: 'FIRST_BYTE_TIMEOUT', config: 'firstByteTimeout', label: 'Time to first byte' },
+  chunk: { code: 'CHUNK_TIMEOUT', config: 'chunkTimeout', label: 'Inter-chunk' },
+  total: { code: 'TOTAL_TIMEOUT', config: 'totalTimeout', label: 'Total request' }
+};
+// 超时由浏览器端负责中止上游请求并上报，服务端多等待这段时间作为兜底 (浏览器无响应或 WebSocket 阻塞)
+const TIMEOUT_GRACE = 5000;
+
+// 原生 Gemini 错误体中的 status 字段 (google.rpc.Code 名称)
+const GOOGLE_STATUS_NAMES = {
+  400: 'INVALID_ARGUMENT', 401: 'UNAUTHENTICATED', 403: 'PERMISSION_DENIED', 404: 'NOT_FOUND',
+  429: 'RESOURCE_EXHAUSTED', 499: 'CANCELLED', 500: 'INTERNAL', 503: 'UNAVAILABLE', 504: 'DEADLINE_EXCEEDED'
+};
+
+class RequestTimeoutError extends ProxyError {
+  constructor(phase, ms) {
+    super(`${TIMEOUT_PHASES[phase].label} timeout after ${ms}ms`, 504);
+    this.phase = phase;
+    this.code = TIMEOUT_PHASES[phase].code;
+    this.category = 'timeout';
+  }
+}
+
+// 排队等待浏览器失败 (队列已满、等待超时、没有可用账号)，与任何账号的请求结果无关，不计入失败也不重试
+class BrowserUnavailableError extends ProxyError {
+  constructor({ message, status, retryAfter }) {
+    super(message, status, { headers: { 'retry-after': retryAfter } });
+    this.category = 'proxy';
+  }
+}
+
+class FailoverPolicy {
+  constructor(system) { this.system = system; }
+
+  get config() { return this.system.config; }
+
+  static classify(status) {
+    if (status === 429) return 'quota';
+    if (status === 401 || status === 403) return 'auth';
+    if (!status || status >= 500) return 'transient';
+    return 'client';
+  }
+
+  // 根据错误类别决定：是否重试、重试时是否避开当前账号、是否立即切换账号、是否计入失败阈值
+  decide(error) {
+    const immediate = error.upstream && this.config.immediateSwitchStatusCodes.includes(error.status);
+    switch (error.category) {
+      case 'client':
+        return { retry: false, avoidAccount: false, switchAccount: immediate, countFailure: false };
+      case 'proxy':
+        return { retry: false, avoidAccount: false, switchAccount: false, countFailure: false };
+      case 'quota':
+      case 'auth':
+        return { retry: true, avoidAccount: true, switchAccount: immediate, countFailure: true };
+      case 'timeout':
+        // 总超时说明整个请求的时间预算已用完，不再重试；其余阶段超时换一个账号重试
+        return { retry: error.phase !== 'total', avoidAccount: true, switchAccount: immediate, countFailure: true };
+      default:
+        return { retry: true, avoidAccount: this.config.retryOtherAccount, switchAccount: immediate, countFailure: true };
+    }
+  }
+}
+
+// ===================================================================================
+// 请求处理器 (OpenAI 格式兼容版)
+// ===================================================================================
+class RequestHandler extends EventEmitter {
+  constructor(system, registry, logger, browserMgr) {
+    super();
+    this.system = system;
+    this.registry = registry;
+    this.logger = logger;
+    this.browserMgr = browserMgr;
+    this.policy = new FailoverPolicy(system);
+    // 账号索引 -> 连续失败次数
+    this.failureCounts = {};
+    // 正在排队等待浏览器连接的请求数
+    this.waiting = 0;
+    // request_id -> 进行中请求的统计记录
+    this.inflight = new Map();
+    this.files = new FileAffinity();
+    // 客户端已断开的请求，不再重试、不计入账号失败
+    this.cancelled = new Set();
+  }
+
+  get config() { return this.system.config; }
+
+  async processRequest(req, res) {
+    // 注意：鉴权现在由中间件统一处理，这里不需要再删 key
+    // 优先转发客户端发来的原始字节，JSON 请求体不经过解析再序列化
+    let body = '';
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      body = req.rawBody || (Buffer.isBuffer(req.body) ? req.body : JSON.stringify(req.body));
+    }
+    await this._execute(req, res, { path: req.path, method: req.method, headers: req.headers, query_params: req.query, body });
+  }
+
+  // 经由格式转换器 (如 OpenAI) 处理请求：请求体转换为 Gemini 格式，响应再转换回客户端格式
+  async processTranslatedRequest(req, res, translator) {
+    if (translator.model && !MODEL_NAME_PATTERN.test(translator.model)) {
+      return res.status(400).json(translator.errorBody('Invalid model name', 400));
+    }
+    await this._execute(req, res, translator.buildRequest(), translator);
+  }
+
+  async _execute(req, res, baseReq, translator = null) {
+    this.system.stats.totalCalls++;
+    const requestId = `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    // 该请求处理链路上的日志都会带上 requestId
+    await this.logger.withContext({ requestId }, () => this._run(requestId, req, res, baseReq, translator));
+  }
+
+  async _run(requestId, req, res, baseReq, translator) {
+    this.logger.debug(`收到请求 ${req.method} ${req.path}`);
+    const record = this._startRecord(requestId, req, res, baseReq, translator);
+    // 响应结束前连接关闭说明客户端已中止请求
+    const onClose = () => { if (!res.writableEnded) this.logger.withContext({ requestId }, () => this._cancel(requestId)); };
+    res.on('close', onClose);
+
+    const wait = await this._waitForBrowser();
+    if (!wait.ok) {
+      Object.assign(record, { status: wait.status, error: wait.message });
+      res.status(wait.status).set('Retry-After', wait.retryAfter)
+        .json(translator ? translator.errorBody(wait.message, wait.status) : this._googleError(wait.message, wait.status));
+      return this._finishRecord(record, res);
+    }
+
+    const queue = this.registry.createQueue(requestId);
+    const proxyReq = { ...baseReq, request_id: requestId, streaming_mode: this.system.streamingMode };
+
+    try {
+      if (!translator && FILE_API_PATH.test(proxyReq.path)) {
+        await this._handlePassthrough(proxyReq, queue, req, res);
+      } else if (translator && !translator.stream) {
+        await this._handleBuffered(proxyReq, queue, res, translator);
+      } else if (this.system.streamingMode === 'fake') {
+        await this._handlePseudoStream(proxyReq, queue, req, res, translator);
+      } else {
+        await this._handleRealStream(proxyReq, queue, res, translator);
+      }
+    } catch (e) {
+      if (!this.cancelled.has(requestId)) {
+        const status = e.status || 500;
+        this.logger.error(`Request failed: ${e.message}`);
+        Object.assign(record, { status, error: e.message });
+        if (!res.headersSent) {
+          res.status(status).json(translator ? translator.errorBody(e.message, status) : this._googleError(e.message, status));
+        }
+      }
+    } finally {
+      res.off('close', onClose);
+      this.cancelled.delete(requestId);
+      this.registry.removeQueue(requestId);
+      this._finishRecord(record, res);
+    }
+  }
+
+  // 通知浏览器中止上游请求，并关闭队列唤醒正在等待响应的处理流程；请求记为 499
+  _cancel(requestId) {
+    if (this.cancelled.has(requestId)) return;
+    this.cancelled.add(requestId);
+    const record = this.inflight.get(requestId);
+    if (record) Object.assign(record, { status: 499, error: 'Client disconnected' });
+    this.logger.info('[请求] 客户端已断开，取消请求');
+    this.registry.cancel(requestId);
+    const queue = this.registry.queues.get(requestId);
+    if (queue) queue.close();
+  }
+
+  _startRecord(requestId, req, res, baseReq, translator) {
+    const record = {
+      id: requestId, at: Date.now(), format: translator ? translator.format : 'gemini',
+      method: req.method, path: req.path, model: this._extractModel(baseReq),
+      apiKey: res.locals.client ? res.locals.client.name : null, authIndex: null, status: null, error: null,
+      latencyMs: null, firstByteMs: null, streamingMode: this.system.streamingMode,
+      stream: translator ? translator.stream : /stream/i.test(baseReq.path), attempts: 0, usage: null
+    };
+    Object.defineProperty(record, 'observer', { value: new UsageObserver(), enumerable: false });
+    this.inflight.set(requestId, record);
+    return record;
+  }
+
+  // 收到上游数据时调用：记录首字节时间并提取 token 用量
+  _observe(proxyReq, data) {
+    const record = this.inflight.get(proxyReq.request_id);
+    if (!record || !data) return;
+    if (record.firstByteMs === null) record.firstByteMs = Date.now() - record.at;
+    record.observer.push(data);
+  }
+
+  _finishRecord(record, res) {
+    this.inflight.delete(record.id);
+    record.latencyMs = Date.now() - record.at;
+    if (record.status === null) record.status = res.statusCode;
+    record.usage = record.observer.finish();
+    this.logger.info(`${record.method} ${record.path} -> ${record.status} (${record.latencyMs}ms)`, {
+      status: record.status, latencyMs: record.latencyMs, model: record.model, authIndex: record.authIndex, attempts: record.attempts
+    });
+    this.emit('requestComplete', record);
+  }
+
+  // 没有可用连接时 (切换账号或浏览器脚本重连期间) 将请求挂起，等待连接恢复后再转发；
+  // 仅在排队数超过 queueMaxDepth (429) 或等待超过 queueMaxWait (503) 时拒绝
+  async _waitForBrowser() {
+    if (this.registry.hasActive()) return { ok: true };
+    const retryAfter = String(Math.max(1, Math.ceil(this.config.queueMaxWait / 1000)));
+    if (this.waiting >= this.config.queueMaxDepth) {
+      this.logger.warn(`[请求] 等待队列已满 (${this.waiting})，拒绝请求`);
+      return { ok: false, status: 429, message: 'Request queue is full', retryAfter };
+    }
+    if (this.config.queueMaxWait <= 0) return { ok: false, status: 503, message: 'No browser connected', retryAfter };
+
+    this.waiting++;
+    this.logger.info(`[请求] 暂无浏览器连接${this.system.isSwitching() ? ' (账号切换中)' : ''}，排队等待 (${this.waiting})...`);
+    try {
+      const ok = await this.registry.waitForConnection(this.config.queueMaxWait);
+      return ok ? { ok: true } : { ok: false, status: 503, message: 'No browser connected', retryAfter };
+    } finally {
+      this.waiting--;
+    }
+  }
+
+  // 每次转发 (包括重试) 都重新选择连接，使重试可以落到其他账号上
+  _forward(req, avoid = []) {
+    if (this.cancelled.has(req.request_id)) throw new ProxyError('Client disconnected', 499);
+    const owner = this.files.lookup(req);
+    const ws = this.registry.pickConnection(avoid, owner);
+    if (!ws) throw new ProxyError('No browser connected', 503);
+    if (owner !== null && this.registry.getConnectionInfo(ws).authIndex !== owner) {
+      this.logger.warn(`[文件] 请求引用的文件属于账号 #${owner}，但该账号当前不在线，可能返回 403/404`);
+    }
+    req.attempt = (req.attempt || 0) + 1;
+    this.registry.assign(req.request_id, ws, req.attempt);
+    this.registry.send(ws, { ...req, timeouts: this._timeouts(req) });
+
+    const authIndex = this.registry.getConnectionInfo(ws).authIndex;
+    this.logger.debug(`转发到账号 #${authIndex ?? '未知'}`, { authIndex });
+    const record = this.inflight.get(req.request_id);
+    if (record) {
+      record.authIndex = authIndex;
+      record.attempts++;
+    }
+    const calls = this.system.stats.accountCalls[authIndex] || (this.system.stats.accountCalls[authIndex] = { total: 0, models: {} });
+    calls.total++;
+    const model = this._extractModel(req);
+    if (model) calls.models[model] = (calls.models[model] || 0) + 1;
+  }
 
-  async processRequest(req, res) {
-    // 注意：鉴权现在由中间件统一处理，这里不需要再删 key
-    
-    this.system.stats.totalCalls++;
-    const currentAuth = this.browserMgr.currentAuthIndex;
-    if (!this.system.stats.accountCalls[currentAuth]) this.system.stats.accountCalls[currentAuth] = { total: 0, models: {} };
-    this.system.stats.accountCalls[currentAuth].total++;
+  // 发给浏览器的各阶段超时，total 为该请求剩余的时间预算
+  _timeouts(proxyReq) {
+    const record = this.inflight.get(proxyReq.request_id);
+    const total = this.config.totalTimeout > 0 && record ? Math.max(1, record.at + this.config.totalTimeout - Date.now()) : 0;
+    return { connect: this.config.connectTimeout, firstByte: this.config.firstByteTimeout, chunk: this.config.chunkTimeout, total };
+  }
 
-    if (!this.registry.hasActive()) return res.status(503).send('No browser connected');
+  // 按请求阶段等待下一条消息：phase 为 connect 时等待响应头，为 body 时等待响应分片 (首个分片前按 firstByte 计时)。
+  // 服务端超时后通知浏览器中止上游请求
+  async _next(proxyReq, queue, phase) {
+    if (phase === 'body') phase = queue.received ? 'chunk' : 'firstByte';
+    const { total } = this._timeouts(proxyReq);
+    const limit = this.config[TIMEOUT_PHASES[phase].config];
+    const useTotal = total > 0 && (!(limit > 0) || total < limit);
+    const wait = useTotal ? total + TIMEOUT_GRACE : limit > 0 ? limit + TIMEOUT_GRACE : 0;
+    let msg;
+    try {
+      msg = await queue.dequeue(wait);
+    } catch (e) {
+      if (e.message !== 'Timeout') throw e;
+      this.registry.cancel(proxyReq.request_id);
+      throw useTotal ? new RequestTimeoutError('total', this.config.totalTimeout) : new RequestTimeoutError(phase, limit);
+    }
+    if (msg.event_type === 'chunk') queue.received++;
+    return msg;
+  }
 
-    const requestId = `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    const queue = this.registry.createQueue(requestId);
+  // 只记录普通标识符形式的模型名，客户端构造的异常名称不进入用量统计
+  _extractModel(proxyReq) {
+    const match = /\/models\/([^:/]+):/.exec(proxyReq.path);
+    return match && MODEL_NAME_PATTERN.test(match[1]) ? match[1] : null;
+  }
 
-    let bodyStr = '';
-    if (req.method !== 'GET' && req.method !== 'HEAD') {
-      bodyStr = typeof req.body === 'string' ? req.body : JSON.stringify(req.body);
+  _toProxyError(msg) {
+    // 浏览器端检测到的阶段超时
+    if (TIMEOUT_PHASES[msg.timeout]) return new RequestTimeoutError(msg.timeout, msg.timeout === 'total' ? this.config.totalTimeout : this.config[TIMEOUT_PHASES[msg.timeout].config]);
+    let message = msg.message || 'Unknown error';
+    if (msg.body) {
+      try { message = JSON.parse(msg.body).error.message || message; } catch (e) {}
     }
+    return new ProxyError(message, msg.status || 500, { upstream: !!msg.upstream, body: msg.body || null, headers: msg.headers || {} });
+  }
 
-    const proxyReq = {
-      path: req.path, method: req.method, headers: req.headers, query_params: req.query,
-      request_id: requestId, streaming_mode: this.system.streamingMode, body: bodyStr
-    };
+  // 转发请求并等待响应头，按故障转移策略处理错误与重试，返回成功的响应头消息。
+  // awaitFirstChunk 为 true 时同时等到首个响应分片：此前客户端尚未收到任何内容，上游中途报错或首字节超时
+  // 同样可以透明重试；预读的分片放回队首
+  async _dispatch(proxyReq, queue, awaitFirstChunk = false) {
+    const accountState = this.system.accountState;
+    // 冷却中的账号仅在没有其他连接可用时才会被选中
+    const avoid = accountState.getCoolingIndices();
+    let lastErr;
+    for (let i = 0; i < this.config.maxRetries; i++) {
+      const wait = await this._waitForBrowser();
+      if (!wait.ok) throw new BrowserUnavailableError(wait);
+      this._forward(proxyReq, avoid);
+      const authIndex = this.registry.getAssignedAuthIndex(proxyReq.request_id);
+      accountState.recordRequest(authIndex, this._extractModel(proxyReq) || 'other');
+      const asError = e => {
+        if (e instanceof RequestTimeoutError) return { event_type: 'error', error: e };
+        throw e;
+      };
+      const head = await this._next(proxyReq, queue, 'connect').catch(asError);
+      const first = head.event_type !== 'error' && awaitFirstChunk ? await this._next(proxyReq, queue, 'body').catch(asError) : null;
+      const failed = head.event_type === 'error' ? head : first && first.event_type === 'error' ? first : null;
+      if (!failed) {
+        accountState.recordSuccess(authIndex);
+        if (first) queue.requeue(first);
+        return head;
+      }
 
-    try {
-      if (this.system.streamingMode === 'fake') {
-        await this._handlePseudoStream(proxyReq, queue, req, res);
-      } else {
-        await this._handleRealStream(proxyReq, queue, res);
+      lastErr = failed.error || this._toProxyError(failed);
+      lastErr.authIndex = authIndex;
+      accountState.recordFailure(authIndex, lastErr);
+      // 本次尝试已结束，释放连接，避免随后的连接关闭再向队列注入过期错误
+      this.registry.release(proxyReq.request_id);
+      const decision = this.policy.decide(lastErr);
+      const willRetry = decision.retry && i < this.config.maxRetries - 1;
+      this.logger.warn(`账号 #${authIndex} 请求失败 (HTTP ${lastErr.status}, ${lastErr.category}): ${lastErr.message}`);
+      if (decision.switchAccount && authIndex !== null) {
+        await this._rotateAccount(authIndex, lastErr, willRetry);
+      } else if (willRetry) {
+        await new Promise(r => setTimeout(r, this.config.retryDelay));
       }
-    } catch (e) {
-      this.logger.error(`Request failed: ${e.message}`);
-      if (!res.headersSent) res.status(500).send(e.message);
-    } finally {
-      this.registry.removeQueue(requestId);
+      if (!willRetry) break;
+      this.emit('retry', { authIndex, status: lastErr.status, category: lastErr.category });
+      if (decision.avoidAccount && authIndex !== null) avoid.push(authIndex);
+    }
+    throw lastErr || new ProxyError('Max retries reached');
+  }
+
+  // 立即切换出错账号。不再重试或池中还有其他可用连接时不等待切换完成，重试直接发往其他账号
+  async _rotateAccount(authIndex, error, wait = true) {
+    if (!this.browserMgr.isSwitching(authIndex)) {
+      this.logger.warn(`[故障转移] 账号 #${authIndex} 返回 HTTP ${error.status}，立即切换账号...`);
     }
+    const task = this.browserMgr.switchAccount(this._getNextAuthIndex(authIndex), authIndex)
+      .catch(e => this.logger.error(`切换失败: ${e.message}`));
+    if (!wait || this.registry.hasActive(authIndex)) return;
+    await task;
+    await this.registry.waitForConnection(SWITCH_WAIT_TIMEOUT);
   }
 
-  _forward(req) {
-    const ws = this.registry.getFirstConnection();
-    if (ws) ws.send(JSON.stringify(req));
-    else throw new Error('WS Disconnected');
+  _resetFailures(proxyReq) {
+    const authIndex = this.registry.getAssignedAuthIndex(proxyReq.request_id);
+    if (authIndex !== null) this.failureCounts[authIndex] = 0;
   }
 
   _getKeepAliveChunk(req) {
@@ -341,138 +2618,656 @@ class RequestHandler {
     return 'data: {}\n\n';
   }
 
-  async _handlePseudoStream(proxyReq, queue, req, res) {
+  async _handlePseudoStream(proxyReq, queue, req, res, translator = null) {
     res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive' });
-    const keepAlive = setInterval(() => res.write(this._getKeepAliveChunk(req)), 2000);
+    const keepAlive = setInterval(() => res.write(translator ? translator.keepAliveChunk() : this._getKeepAliveChunk(req)), 2000);
 
     try {
-      let lastErr;
-      for (let i = 0; i < this.config.maxRetries; i++) {
-        this._forward(proxyReq);
-        const msg = await queue.dequeue(); 
-        if (msg.event_type === 'error') {
-          lastErr = msg;
-          await new Promise(r => setTimeout(r, this.config.retryDelay));
-          continue;
-        }
-        
-        clearInterval(keepAlive);
-        this.failureCount = 0;
-        
-        const dataMsg = await queue.dequeue(); 
-        if (msg.data) res.write(`data: ${msg.data}\n\n`);
-        if (dataMsg && dataMsg.data) res.write(`data: ${dataMsg.data}\n\n`);
-        
-        res.write('data: [DONE]\n\n');
+      const msg = await this._dispatch(proxyReq, queue);
+      clearInterval(keepAlive);
+      this._resetFailures(proxyReq);
+
+      // 完整响应体可能被拆成多帧，收齐后再一次性输出
+      let body = '';
+      while (true) {
+        const dataMsg = await this._next(proxyReq, queue, 'body');
+        if (dataMsg.type === 'STREAM_END') break;
+        if (dataMsg.event_type === 'error') throw this._toProxyError(dataMsg);
+        this._observe(proxyReq, dataMsg.data);
+        if (dataMsg.data) body += dataMsg.data;
+      }
+      if (translator) {
+        res.write(translator.translateFullToStream(body));
         res.end();
         return;
       }
-      throw new Error(lastErr?.message || "Max retries reached");
+      if (msg.data) res.write(`data: ${msg.data}\n\n`);
+      if (body) res.write(`data: ${body}\n\n`);
+
+      res.write('data: [DONE]\n\n');
+      res.end();
     } catch (e) {
       clearInterval(keepAlive);
-      this._handleFailure(e, res, true);
+      this._handleFailure(e, proxyReq, res, true, translator);
     }
   }
 
-  async _handleRealStream(proxyReq, queue, res) {
-  try {
-    this._forward(proxyReq);
-    const head = await queue.dequeue();
-    if (head.event_type === 'error') throw new Error(head.message);
-    res.status(head.status || 200);
-    if (head.headers) Object.entries(head.headers).forEach(([k, v]) => { if (k !== 'content-length') res.set(k, v); });
-    
-    // 【核心修复】强制设置正确的流式响应 Content-Type
-    res.set('Content-Type', 'text/event-stream');
-    res.set('Cache-Control', 'no-cache');
-    res.set('Connection', 'keep-alive');
-    
-    this.failureCount = 0;
+  // 非流式的转换请求：收集完整响应体后一次性转换
+  async _handleBuffered(proxyReq, queue, res, translator) {
+    try {
+      await this._dispatch(proxyReq, queue);
+      let body = '';
+      while (true) {
+        const msg = await this._next(proxyReq, queue, 'body');
+        if (msg.type === 'STREAM_END') break;
+        if (msg.event_type === 'error') throw this._toProxyError(msg);
+        this._observe(proxyReq, msg.data);
+        if (msg.data) body += msg.data;
+      }
+      this._resetFailures(proxyReq);
+      res.status(200).json(translator.translateResponse(JSON.parse(body)));
+    } catch (e) {
+      this._handleFailure(e, proxyReq, res, false, translator);
+    }
+  }
+
+  // File API 请求：原样透传状态码、响应头与响应体。上传会话地址改写为本代理的地址，
+  // 使后续的上传分片同样经过浏览器发往创建会话的账号
+  async _handlePassthrough(proxyReq, queue, req, res) {
+    try {
+      const head = await this._dispatch(proxyReq, queue);
+      const authIndex = this.registry.getAssignedAuthIndex(proxyReq.request_id);
+      const headers = this._responseHeaders(head);
+      if (headers['x-goog-upload-url']) headers['x-goog-upload-url'] = this._rewriteUploadUrl(headers['x-goog-upload-url'], req);
+      res.status(head.status || 200).set(headers);
+
+      this._resetFailures(proxyReq);
+      let text = '';
+      while (true) {
+        const msg = await this._next(proxyReq, queue, 'body');
+        if (msg.type === 'STREAM_END') break;
+        if (msg.event_type === 'error') throw this._toProxyError(msg);
+        if (msg.raw) res.write(msg.raw);
+        // 只保留较小的响应体用于识别文件名，下载的文件内容不做缓存
+        if (text.length < 1048576) text += msg.data || '';
+      }
+      res.end();
+      this.files.recordResponse(head.headers, text, authIndex);
+    } catch (e) {
+      this._handleFailure(e, proxyReq, res, false);
+    }
+  }
+
+  _isSSE(proxyReq) {
+    return !!proxyReq.query_params && proxyReq.query_params.alt === 'sse';
+  }
+
+  // 浏览器 fetch 已解压响应体，长度与编码相关的响应头由 express 重新生成
+  _responseHeaders(head) {
+    const headers = { ...head.headers };
+    ['content-length', 'content-encoding', 'transfer-encoding', 'connection'].forEach(k => delete headers[k]);
+    return headers;
+  }
+
+  _rewriteUploadUrl(url, req) {
+    try {
+      const target = new URL(url);
+      const proto = req.get('x-forwarded-proto') || req.protocol;
+      const host = req.get('x-forwarded-host') || req.get('host');
+      return `${proto}://${host}${target.pathname}${target.search}`;
+    } catch (e) {
+      return url;
+    }
+  }
+
+  // 首个分片到达前的失败由 _dispatch 重试 (可换账号)；开始输出后的失败以客户端格式的错误事件结束响应
+  async _handleRealStream(proxyReq, queue, res, translator = null) {
+    try {
+      const head = await this._dispatch(proxyReq, queue, true);
+      res.status(head.status || 200);
+      if (head.headers && !translator) res.set(this._responseHeaders(head));
+
+      // 【核心修复】强制设置正确的流式响应 Content-Type
+      res.set('Content-Type', 'text/event-stream');
+      res.set('Cache-Control', 'no-cache');
+      res.set('Connection', 'keep-alive');
+
+      this._resetFailures(proxyReq);
+      // 原生 SSE 按整行输出，中途出错时追加的错误事件不会与半个事件粘连
+      const sse = !translator && this._isSSE(proxyReq);
+      let partial = Buffer.alloc(0);
       while (true) {
-        const msg = await queue.dequeue(30000);
+        const msg = await this._next(proxyReq, queue, 'body');
         if (msg.type === 'STREAM_END') break;
-        if (msg.data) res.write(msg.data);
+        if (msg.event_type === 'error') throw this._toProxyError(msg);
+        this._observe(proxyReq, msg.data);
+        if (translator) {
+          if (msg.data) res.write(translator.translateStreamChunk(msg.data));
+        } else if (msg.raw && sse) {
+          const buf = Buffer.concat([partial, msg.raw]);
+          const cut = buf.lastIndexOf(0x0a) + 1;
+          if (cut) res.write(buf.subarray(0, cut));
+          partial = buf.subarray(cut);
+        } else if (msg.raw) {
+          res.write(msg.raw);
+        }
       }
+      if (partial.length) res.write(partial);
+      if (translator) res.write(translator.endStream());
       res.end();
     } catch (e) {
-      this._handleFailure(e, res, false);
+      this._handleFailure(e, proxyReq, res, false, translator);
     }
   }
 
-  async _handleFailure(e, res, isStream) {
+  async _handleFailure(e, proxyReq, res, isStream, translator = null) {
+    if (this.cancelled.has(proxyReq.request_id)) return;
     this.logger.error(e.message);
-    this.failureCount++;
-    if (this.config.failureThreshold > 0 && this.failureCount >= this.config.failureThreshold) {
-      this.logger.warn('达到失败阈值，切换账号...');
+    const record = this.inflight.get(proxyReq.request_id);
+    if (record) Object.assign(record, { status: e.status || 500, error: e.message });
+    this._writeError(e, proxyReq, res, isStream, translator);
+
+    if (!this.policy.decide(e).countFailure) return;
+    const authIndex = e.authIndex ?? this.registry.getAssignedAuthIndex(proxyReq.request_id) ?? this.browserMgr.currentAuthIndex;
+    this.failureCounts[authIndex] = (this.failureCounts[authIndex] || 0) + 1;
+    if (this.config.failureThreshold > 0 && this.failureCounts[authIndex] >= this.config.failureThreshold) {
+      this.logger.warn(`账号 #${authIndex} 达到失败阈值，切换账号...`);
+      this.failureCounts[authIndex] = 0;
       try {
-        await this.browserMgr.switchAccount(this._getNextAuthIndex());
-        this.failureCount = 0;
+        await this.browserMgr.switchAccount(this._getNextAuthIndex(authIndex), authIndex);
       } catch (err) { this.logger.error('切换失败'); }
     }
-    if (isStream) {
-      res.write(`data: {"error": {"message": "Proxy Error: ${e.message}"}}\n\n`);
+  }
+
+  // 尽量保留上游状态码：原生请求直接透传 Google 的错误体，转换请求使用客户端格式的错误体。
+  // 已开始输出时以错误事件结束流；原生非 SSE 响应无法追加错误，直接中断连接，避免客户端把截断的响应体当作完整结果
+  _writeError(e, proxyReq, res, isStream, translator) {
+    const status = e.status || 500;
+    if (!res.headersSent && e.headers && e.headers['retry-after']) res.set('Retry-After', e.headers['retry-after']);
+    if (isStream || res.headersSent) {
+      if (res.writableEnded) return;
+      if (translator) {
+        res.write(translator.errorEvent(`Proxy Error: ${e.message}`, status));
+      } else if (isStream || this._isSSE(proxyReq)) {
+        res.write(`\ndata: ${JSON.stringify(this._googleError(`Proxy Error: ${e.message}`, status))}\n\n`);
+      } else {
+        return res.destroy();
+      }
       res.end();
-    } else if (!res.headersSent) {
-      res.status(500).json({ error: e.message });
+    } else if (translator) {
+      res.status(status).json(translator.errorBody(e.message, status));
+    } else if (e.body) {
+      res.status(status).type(e.headers['content-type'] || 'application/json').send(e.body);
+    } else {
+      res.status(status).json(this._googleError(e.message, status));
     }
   }
 
-  _getNextAuthIndex() {
+  // 与 Gemini API 相同的错误体格式，供代理自身产生的原生请求错误使用
+  _googleError(message, status) {
+    return { error: { code: status, message, status: GOOGLE_STATUS_NAMES[status] || 'UNKNOWN' } };
+  }
+
+  // 从指定账号开始循环查找下一个未运行且不在冷却中的账号；
+  // 全部冷却时选择最早恢复的账号，全部运行中时返回其自身
+  _getNextAuthIndex(fromIndex = this.browserMgr.currentAuthIndex) {
+    const accountState = this.system.accountState;
     const indices = this.system.authSource.getAvailableIndices();
-    const curr = indices.indexOf(this.browserMgr.currentAuthIndex);
-    return indices[(curr + 1) % indices.length];
+    const curr = indices.indexOf(fromIndex);
+    const candidates = [];
+    for (let i = 1; i <= indices.length; i++) {
+      const candidate = indices[(curr + i) % indices.length];
+      if (candidate === fromIndex || !this.browserMgr.isRunning(candidate)) candidates.push(candidate);
+    }
+    if (!candidates.length) return indices.length ? indices[0] : null;
+    const ready = candidates.find(i => !accountState.isCoolingDown(i));
+    if (ready !== undefined) return ready;
+    return candidates.reduce((a, b) => accountState.getCooldownUntil(b) < accountState.getCooldownUntil(a) ? b : a);
+  }
+}
+
+// ===================================================================================
+// 配置校验与热加载
+// ===================================================================================
+const CONFIG_FILE = 'config.json';
+
+// 各配置项的类型约束；nullable 表示允许为 null (代表关闭或自动)，env 为对应的环境变量
+const CONFIG_SCHEMA = {
+  httpPort: { type: 'integer', min: 1, max: 65535, env: 'PORT' },
+  host: { type: 'string', env: 'HOST' },
+  wsPort: { type: 'integer', min: 1, max: 65535 },
+  streamingMode: { enum: ['real', 'fake'], env: 'STREAMING_MODE' },
+  failureThreshold: { type: 'integer', min: 0, env: 'FAILURE_THRESHOLD' },
+  maxRetries: { type: 'integer', min: 1, env: 'MAX_RETRIES' },
+  retryDelay: { type: 'integer', min: 0, env: 'RETRY_DELAY' },
+  retryOtherAccount: { type: 'boolean', env: 'RETRY_OTHER_ACCOUNT' },
+  apiKeys: { type: 'array', items: 'apiKey', env: 'API_KEYS' },
+  debugMode: { type: 'boolean', env: 'DEBUG_MODE' },
+  browserExecutablePath: { type: 'string', nullable: true, env: 'CAMOUFOX_EXECUTABLE_PATH' },
+  immediateSwitchStatusCodes: { type: 'array', items: 'statusCode', env: 'IMMEDIATE_SWITCH_STATUS_CODES' },
+  initialAuthIndex: { type: 'integer', min: 1, nullable: true, env: 'INITIAL_AUTH_INDEX' },
+  browserPoolSize: { type: 'integer', min: 0, env: 'BROWSER_POOL_SIZE' },
+  quotaCooldownMs: { type: 'integer', min: 0, env: 'QUOTA_COOLDOWN_MS' },
+  authCooldownMs: { type: 'integer', min: 0, env: 'AUTH_COOLDOWN_MS' },
+  accountStateFile: { type: 'string', nullable: true, env: 'ACCOUNT_STATE_FILE' },
+  queueMaxWait: { type: 'integer', min: 0, env: 'QUEUE_MAX_WAIT' },
+  queueMaxDepth: { type: 'integer', min: 0, env: 'QUEUE_MAX_DEPTH' },
+  watchdogInterval: { type: 'integer', min: 0, env: 'WATCHDOG_INTERVAL' },
+  wsMissingThreshold: { type: 'integer', min: 0, env: 'WS_MISSING_THRESHOLD' },
+  watchdogBackoffBase: { type: 'integer', min: 0 },
+  watchdogBackoffMax: { type: 'integer', min: 0 },
+  watchdogSwitchAfter: { type: 'integer', min: 0, env: 'WATCHDOG_SWITCH_AFTER' },
+  usageLogFile: { type: 'string', nullable: true, env: 'USAGE_LOG_FILE' },
+  usageRetentionDays: { type: 'integer', min: 1, env: 'USAGE_RETENTION_DAYS' },
+  logLevel: { enum: Object.keys(LOG_LEVELS), env: 'LOG_LEVEL' },
+  logFormat: { enum: ['text', 'json'], env: 'LOG_FORMAT' },
+  logFile: { type: 'string', nullable: true, env: 'LOG_FILE' },
+  logMaxSize: { type: 'integer', min: 0, env: 'LOG_MAX_SIZE' },
+  logMaxFiles: { type: 'integer', min: 0, env: 'LOG_MAX_FILES' },
+  authExpiryWarningDays: { type: 'integer', min: 0, env: 'AUTH_EXPIRY_WARNING_DAYS' },
+  authSaveInterval: { type: 'integer', min: 0, env: 'AUTH_SAVE_INTERVAL' },
+  authKeyFile: { type: 'string', nullable: true, env: 'AUTH_KEY_FILE' },
+  maxBodySize: { type: 'integer', min: 1, env: 'MAX_BODY_SIZE' },
+  connectTimeout: { type: 'integer', min: 0, env: 'CONNECT_TIMEOUT' },
+  firstByteTimeout: { type: 'integer', min: 0, env: 'FIRST_BYTE_TIMEOUT' },
+  chunkTimeout: { type: 'integer', min: 0, env: 'CHUNK_TIMEOUT' },
+  totalTimeout: { type: 'integer', min: 0, env: 'TOTAL_TIMEOUT' }
+};
+
+// 运行中可直接生效的配置项，其余配置项 (端口、浏览器路径、浏览器池等) 需要重启
+const HOT_RELOAD_KEYS = [
+  'apiKeys', 'maxRetries', 'retryDelay', 'retryOtherAccount', 'failureThreshold', 'immediateSwitchStatusCodes', 'streamingMode',
+  'quotaCooldownMs', 'authCooldownMs', 'queueMaxWait', 'queueMaxDepth',
+  'watchdogInterval', 'wsMissingThreshold', 'watchdogBackoffBase', 'watchdogBackoffMax', 'watchdogSwitchAfter',
+  'usageRetentionDays', 'authExpiryWarningDays', 'debugMode', 'logLevel', 'logFormat', 'logFile', 'logMaxSize', 'logMaxFiles',
+  'connectTimeout', 'firstByteTimeout', 'chunkTimeout', 'totalTimeout'
+];
+
+function describeValue(value) {
+  if (Number.isNaN(value)) return '不是数字';
+  return value === undefined ? '未设置' : JSON.stringify(value);
+}
+
+function validateApiKey(item, at) {
+  if (typeof item === 'string') return [];
+  if (!item || typeof item !== 'object' || Array.isArray(item)) return [`${at}: 应为字符串或对象`];
+  const errors = [];
+  if (typeof item.key !== 'string' || !item.key) errors.push(`${at}.key: 必须是非空字符串`);
+  if (item.name !== undefined && typeof item.name !== 'string') errors.push(`${at}.name: 应为字符串`);
+  if (item.admin !== undefined && typeof item.admin !== 'boolean') errors.push(`${at}.admin: 应为 true 或 false`);
+  if (item.models !== undefined && (!Array.isArray(item.models) || item.models.some(m => typeof m !== 'string'))) {
+    errors.push(`${at}.models: 应为模型名称数组，例如 ["gemini-2.5-*"]`);
+  }
+  for (const field of ['rpm', 'tokensPerDay']) {
+    if (item[field] !== undefined && item[field] !== null && !(Number.isInteger(item[field]) && item[field] >= 0)) {
+      errors.push(`${at}.${field}: 应为不小于 0 的整数 (当前值: ${describeValue(item[field])})`);
+    }
+  }
+  if (item.expiresAt !== undefined && item.expiresAt !== null && isNaN(new Date(item.expiresAt).getTime())) {
+    errors.push(`${at}.expiresAt: 无法解析的日期 ${describeValue(item.expiresAt)}`);
+  }
+  return errors;
+}
+
+// 返回 { errors, warnings }；未知的配置项 (非 _ 开头的注释字段) 只给出警告，以便发现拼写错误
+function validateConfig(conf) {
+  const errors = [];
+  const warnings = [];
+  for (const [name, rule] of Object.entries(CONFIG_SCHEMA)) {
+    const value = conf[name];
+    if (value === undefined || (value === null && rule.nullable)) continue;
+    // 值来自环境变量时在错误信息中注明，并显示环境变量的原始内容
+    const fromEnv = rule.env && process.env[rule.env] !== undefined;
+    const key = fromEnv ? `${name} (环境变量 ${rule.env}=${JSON.stringify(process.env[rule.env])})` : name;
+    if (rule.enum) {
+      if (!rule.enum.includes(value)) errors.push(`${key}: 只能是 ${rule.enum.join(' / ')} (当前值: ${describeValue(value)})`);
+    } else if (rule.type === 'integer') {
+      if (!Number.isInteger(value) || (rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+        const range = rule.max !== undefined ? `${rule.min} 到 ${rule.max} 之间` : `不小于 ${rule.min} `;
+        errors.push(`${key}: 应为${range}的整数 (当前值: ${describeValue(value)})`);
+      }
+    } else if (rule.type === 'array') {
+      if (!Array.isArray(value)) {
+        errors.push(`${key}: 应为数组 (当前值: ${describeValue(value)})`);
+      } else if (rule.items === 'apiKey') {
+        value.forEach((item, i) => errors.push(...validateApiKey(item, `${key}[${i}]`)));
+      } else if (rule.items === 'statusCode') {
+        value.forEach((code, i) => {
+          if (!Number.isInteger(code) || code < 100 || code > 599) errors.push(`${key}[${i}]: 应为 HTTP 状态码 (当前值: ${describeValue(code)})`);
+        });
+      }
+    } else if (typeof value !== rule.type) {
+      errors.push(`${key}: 应为 ${rule.type === 'string' ? '字符串' : 'true 或 false'}${rule.nullable ? ' 或 null' : ''} (当前值: ${describeValue(value)})`);
+    }
+  }
+  for (const key of Object.keys(conf)) {
+    if (!key.startsWith('_') && !CONFIG_SCHEMA[key]) warnings.push(`未知配置项 "${key}"，将被忽略`);
+  }
+  return { errors, warnings };
+}
+
+// ===================================================================================
+// 启动诊断模块 (node unified-server.js --check)
+// ===================================================================================
+// 尝试监听端口后立即关闭，用于判断端口是否被占用
+function checkPortFree(port, host) {
+  return new Promise(resolve => {
+    const server = net.createServer();
+    server.once('error', e => resolve({ ok: false, message: e.code === 'EADDRINUSE' ? '端口已被占用' : e.message }));
+    server.listen(port, host, () => server.close(() => resolve({ ok: true, message: '可用' })));
+  });
+}
+
+class StartupDiagnostics {
+  constructor(system) {
+    this.system = system;
+    this.logger = system.logger;
+    this.results = [];
+  }
+
+  _report(name, ok, message, level = 'error') {
+    this.results.push({ name, ok, level: ok ? 'ok' : level, message });
+  }
+
+  static checkExecutable(file) {
+    if (!fs.existsSync(file)) return { ok: false, message: `找不到浏览器可执行文件 ${file}，请下载 Camoufox 或设置 CAMOUFOX_EXECUTABLE_PATH` };
+    try {
+      fs.accessSync(file, fs.constants.X_OK);
+    } catch (e) {
+      return { ok: false, message: `${file} 没有执行权限` };
+    }
+    return { ok: true, message: file };
+  }
+
+  async run() {
+    const { config, configErrors, configWarnings, browserMgr, authSource } = this.system;
+
+    if (configErrors.length) configErrors.forEach(e => this._report('配置', false, e));
+    else this._report('配置', true, '校验通过');
+    configWarnings.forEach(w => this._report('配置', false, w, 'warn'));
+
+    const exec = StartupDiagnostics.checkExecutable(browserMgr.browserExecutablePath);
+    this._report('浏览器', exec.ok, exec.message);
+
+    const scriptPath = path.join(__dirname, browserMgr.scriptFileName);
+    if (!fs.existsSync(scriptPath)) {
+      this._report('注入脚本', false, `找不到 ${scriptPath}`);
+    } else if (!fs.readFileSync(scriptPath, 'utf-8').includes('/* __RUNTIME_CONFIG__ */ {}')) {
+      this._report('注入脚本', false, `${browserMgr.scriptFileName} 中缺少运行时配置占位符，多账号模式下无法区分连接`, 'warn');
+    } else {
+      this._report('注入脚本', true, scriptPath);
+    }
+
+    const indices = authSource.getAvailableIndices();
+    if (!indices.length) this._report('认证', false, `未找到任何账号 (${authSource.authMode === 'env' ? 'AUTH_JSON_N 环境变量' : 'auth/auth-N.json'})`);
+    for (const index of indices) {
+      const result = authSource.inspectAuth(index, config.authExpiryWarningDays * DURATION_UNITS.d);
+      this._report(`账号 #${index}`, result.valid, result.message);
+      if (result.status === 'expiring') this._report(`账号 #${index}`, false, '即将过期，请尽快重新运行 save-auth.js', 'warn');
+    }
+
+    for (const [name, port] of [['HTTP 端口', config.httpPort], ['WebSocket 端口', config.wsPort]]) {
+      if (!Number.isInteger(port)) continue;
+      const result = await checkPortFree(port, name === 'HTTP 端口' ? config.host : undefined);
+      this._report(`${name} ${port}`, result.ok, result.message);
+    }
+
+    for (const r of this.results) {
+      const line = `[诊断] ${r.level === 'ok' ? '✅' : r.level === 'warn' ? '⚠️' : '❌'} ${r.name}: ${r.message}`;
+      if (r.level === 'error') this.logger.error(line);
+      else if (r.level === 'warn') this.logger.warn(line);
+      else this.logger.info(line);
+    }
+    const ok = !this.results.some(r => r.level === 'error');
+    this.logger.info(ok ? '[诊断] 全部检查通过' : '[诊断] 存在错误，请修正后再启动');
+    return { ok, results: this.results };
   }
 }
 
 // ===================================================================================
 // 系统主类 (包含被恢复的 Auth 和 仪表盘功能)
 // ===================================================================================
+// 不涉及具体模型的接口 (模型列表、File API、指标抓取)，限定了模型的密钥在未指明模型时也可以访问
+const MODEL_FREE_PATHS = [/^\/v1(alpha|beta)?(\/openai)?\/models\/?$/i, FILE_API_PATH, /^\/metrics\/?$/i];
+
 class ProxyServerSystem extends EventEmitter {
   constructor() {
     super();
     this.logger = new LoggingService('System');
-    this.config = this._loadConfig();
+    // config.json 无法解析或校验失败时记录在这里，start() 会拒绝启动，--check 会逐条列出
+    this.configErrors = [];
+    let fileConfig = {};
+    try {
+      fileConfig = this._readConfigFile();
+    } catch (e) {
+      this.configErrors.push(e.message);
+    }
+    this.config = this._loadConfig(fileConfig);
+    const { errors, warnings } = validateConfig(this.config);
+    this.configErrors.push(...errors);
+    this.configWarnings = warnings;
+    this.logger.configure(this.config);
     this.streamingMode = this.config.streamingMode;
     this.stats = { totalCalls: 0, accountCalls: {} };
+    this.accountState = new AccountStateTracker(this.logger, this.config);
+    this.usage = new UsageRecorder(this.logger, this.config, this.stats);
+    this.apiKeys = new ApiKeyManager(this.logger, this.config, this.usage);
 
-    this.authSource = new AuthSource(this.logger);
+    // 口令只从环境变量读取，不写入 config.json
+    let authCipher = null;
+    try {
+      authCipher = AuthCipher.fromOptions({ passphrase: process.env.AUTH_PASSPHRASE, keyFile: this.config.authKeyFile });
+    } catch (e) {
+      this.configErrors.push(`无法读取认证密钥文件: ${e.message}`);
+    }
+    this.authSource = new AuthSource(this.logger, authCipher);
     this.browserMgr = new BrowserManager(this.logger, this.config, this.authSource);
     this.registry = new ConnectionRegistry(this.logger);
     this.handler = new RequestHandler(this, this.registry, this.logger, this.browserMgr);
+    this.handler.on('requestComplete', record => {
+      this.usage.add(record);
+      this.apiKeys.recordUsage(record.apiKey, record.usage);
+    });
+    // 浏览器端脚本的日志经 WebSocket 转发，按服务端日志级别输出并保留原始 requestId
+    const browserLogger = this.logger.child('Browser');
+    this.registry.on('browserLog', ({ level, message, request_id, authIndex }) => {
+      browserLogger.log(LOG_LEVELS[level] ? level : 'info', String(message), { requestId: request_id ?? undefined, authIndex });
+    });
+    this.metrics = new MetricsCollector(this);
+    this.live = new LiveMonitor(this);
+
+    this.switchStatus = { inProgress: false, from: null, to: null, stage: null, history: [], error: null, startedAt: null };
+    this._trackSwitchProgress();
+
+    this.events = [];
+    this.watchdog = new BrowserWatchdog(this);
+    this.browserMgr.on('disconnected', ({ authIndex }) => this.recordEvent('browser', `账号 #${authIndex} 浏览器意外断开`, { authIndex }));
+    this.browserMgr.on('authRequired', ({ authIndex, reason }) => {
+      this.accountState.markNeedsReauth(authIndex, reason);
+      this.recordEvent('auth', `账号 #${authIndex} 需要重新登录: ${reason}`, { authIndex });
+    });
+    this.browserMgr.on('launched', ({ authIndex }) => this.accountState.clearNeedsReauth(authIndex));
+  }
+
+  // 校验新配置并应用其中可热加载的部分，浏览器会话不受影响。
+  // fileConfig 为 config.json 的内容，环境变量仍然优先。返回 { success, message, errors, applied, requiresRestart }
+  applyConfig(fileConfig) {
+    const candidate = this._loadConfig(fileConfig);
+    const { errors, warnings } = validateConfig(candidate);
+    warnings.forEach(w => this.logger.warn(`[配置] ${w}`));
+    if (errors.length) {
+      this.recordEvent('config', `配置无效，未应用: ${errors.join('; ')}`);
+      return { success: false, message: '配置无效', errors, applied: [], requiresRestart: [] };
+    }
+
+    const changed = Object.keys(candidate).filter(k => JSON.stringify(candidate[k]) !== JSON.stringify(this.config[k]));
+    const applied = changed.filter(k => HOT_RELOAD_KEYS.includes(k));
+    const requiresRestart = changed.filter(k => !HOT_RELOAD_KEYS.includes(k) && CONFIG_SCHEMA[k]);
+    applied.forEach(k => { this.config[k] = candidate[k]; });
+
+    if (applied.includes('streamingMode')) this.streamingMode = this.config.streamingMode;
+    if (applied.some(k => k.startsWith('log') || k === 'debugMode')) this.logger.configure(this.config);
+    if (applied.includes('watchdogInterval')) {
+      this.watchdog.stop();
+      this.watchdog.start();
+    }
+
+    if (applied.length) this.logger.info(`[配置] 已热加载: ${applied.join(', ')}`);
+    if (requiresRestart.length) this.logger.warn(`[配置] 以下配置项需要重启后生效: ${requiresRestart.join(', ')}`);
+    return { success: true, message: applied.length ? '配置已生效' : '配置无变化', errors: [], applied, requiresRestart };
+  }
+
+  // 监视 config.json 的修改。使用轮询而不是 fs.watch，编辑器以替换文件的方式保存时也能检测到
+  _watchConfig() {
+    fs.watchFile(CONFIG_FILE, { interval: 2000 }, (curr, prev) => {
+      if (curr.mtimeMs === prev.mtimeMs || !curr.mtimeMs) return;
+      try {
+        this.applyConfig(this._readConfigFile());
+      } catch (e) {
+        this.recordEvent('config', `${e.message}，保留当前配置`);
+      }
+    });
+  }
+
+  // 收到退出信号时关闭浏览器 (同时写回 storageState) 后再退出
+  async shutdown() {
+    this.logger.info('正在关闭...');
+    this.watchdog.stop();
+    this.browserMgr.stopAutoSave();
+    await this.browserMgr.closeBrowser();
+  }
+
+  // 记录系统事件 (浏览器断开、守护恢复等)，保留最近 100 条供仪表盘展示
+  recordEvent(type, message, data = {}) {
+    this.events.push({ at: Date.now(), type, message, ...data });
+    if (this.events.length > 100) this.events.shift();
+    this.logger.warn(`[${type}] ${message}`);
+  }
+
+  isSwitching() { return this.switchStatus.inProgress; }
+
+  // 汇总切换进度：closing -> launching -> page_loaded -> editor_opened -> script_injected -> preview_opened -> ws_connected。
+  // 同一时间只跟踪一个切换任务，期间由守护恢复或故障转移触发的其他切换不覆盖其进度
+  _trackSwitchProgress() {
+    const status = () => this.switchStatus;
+    const tracking = (from, to) => status().inProgress && status().from === from && status().to === to;
+    const setStage = (stage, done = false) => {
+      status().stage = stage;
+      status().history.push({ stage, at: Date.now() });
+      if (done) status().inProgress = false;
+    };
+    this.browserMgr.on('switchStart', ({ from, to }) => {
+      if (status().inProgress) return;
+      clearTimeout(this.switchTimer);
+      this.switchStatus = { inProgress: true, from, to, stage: null, history: [], error: null, startedAt: Date.now() };
+      this.logger.info(`[切换] 账号 #${from} -> #${to}`);
+    });
+    this.browserMgr.on('progress', ({ authIndex, stage }) => {
+      if (status().inProgress && authIndex === status().to) setStage(stage);
+    });
+    this.browserMgr.on('switchFailed', ({ from, to, error }) => {
+      if (!tracking(from, to)) return;
+      status().error = error;
+      setStage('failed', true);
+    });
+    this.browserMgr.on('switchDone', ({ from, to }) => {
+      if (!tracking(from, to)) return;
+      if (this.registry.hasAccount(to)) return setStage('ws_connected', true);
+      setStage('waiting_ws');
+      this.switchTimer = setTimeout(() => {
+        if (!status().inProgress || status().to !== to) return;
+        status().error = '浏览器脚本未能连接 WebSocket';
+        setStage('ws_timeout', true);
+      }, SWITCH_WAIT_TIMEOUT);
+    });
+    this.registry.on('connected', ({ authIndex }) => {
+      if (!status().inProgress || authIndex !== status().to || status().stage === 'ws_connected') return;
+      clearTimeout(this.switchTimer);
+      setStage('ws_connected', true);
+      this.logger.info(`✅ [切换] 账号 #${authIndex} 已连接`);
+    });
+  }
+
+  // 读取并解析 config.json，文件不存在时返回空对象，解析失败时抛出异常
+  _readConfigFile() {
+    if (!fs.existsSync(CONFIG_FILE)) return {};
+    try {
+      return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf-8'));
+    } catch (e) {
+      throw new Error(`${CONFIG_FILE} 不是有效的 JSON: ${e.message}`);
+    }
   }
 
-  _loadConfig() {
+  _loadConfig(fileConfig = {}) {
     // 1. 默认配置
     let conf = {
       httpPort: 8889, host: '0.0.0.0', wsPort: 9998, streamingMode: 'real',
-      failureThreshold: 0, maxRetries: 3, retryDelay: 2000, apiKeys: [], 
-      debugMode: false, browserExecutablePath: null, immediateSwitchStatusCodes: []
+      failureThreshold: 0, maxRetries: 3, retryDelay: 2000, retryOtherAccount: false, apiKeys: [], 
+      debugMode: false, browserExecutablePath: null, immediateSwitchStatusCodes: [],
+      browserPoolSize: 1, quotaCooldownMs: 600000, authCooldownMs: 3600000, accountStateFile: null,
+      queueMaxWait: 120000, queueMaxDepth: 100,
+      watchdogInterval: 15000, wsMissingThreshold: 60000, watchdogBackoffBase: 5000, watchdogBackoffMax: 300000, watchdogSwitchAfter: 2,
+      usageLogFile: 'data/usage.jsonl', usageRetentionDays: 30,
+      logLevel: 'info', logFormat: 'text', logFile: null, logMaxSize: 10485760, logMaxFiles: 5,
+      authExpiryWarningDays: 7, authSaveInterval: 1800000, authKeyFile: null,
+      maxBodySize: 52428800,
+      connectTimeout: 600000, firstByteTimeout: 300000, chunkTimeout: 30000, totalTimeout: 1200000
     };
 
-    // 2. 加载 config.json (如果存在)
-    try {
-      if (fs.existsSync('config.json')) Object.assign(conf, JSON.parse(fs.readFileSync('config.json')));
-    } catch (e) {}
+    // 2. 合并 config.json 的内容
+    Object.assign(conf, fileConfig);
 
     // 3. 加载环境变量 (覆盖 config.json) - 恢复丢失的逻辑
-    if (process.env.PORT) conf.httpPort = parseInt(process.env.PORT);
+    if (process.env.PORT) conf.httpPort = Number(process.env.PORT);
     if (process.env.HOST) conf.host = process.env.HOST;
     if (process.env.STREAMING_MODE) conf.streamingMode = process.env.STREAMING_MODE;
     
-    if (process.env.FAILURE_THRESHOLD) conf.failureThreshold = parseInt(process.env.FAILURE_THRESHOLD);
-    if (process.env.MAX_RETRIES) conf.maxRetries = parseInt(process.env.MAX_RETRIES);
-    if (process.env.RETRY_DELAY) conf.retryDelay = parseInt(process.env.RETRY_DELAY);
+    if (process.env.FAILURE_THRESHOLD) conf.failureThreshold = Number(process.env.FAILURE_THRESHOLD);
+    if (process.env.MAX_RETRIES) conf.maxRetries = Number(process.env.MAX_RETRIES);
+    if (process.env.RETRY_DELAY) conf.retryDelay = Number(process.env.RETRY_DELAY);
+    if (process.env.RETRY_OTHER_ACCOUNT) conf.retryOtherAccount = (process.env.RETRY_OTHER_ACCOUNT === 'true');
     
     if (process.env.DEBUG_MODE) conf.debugMode = (process.env.DEBUG_MODE === 'true');
-    if (process.env.INITIAL_AUTH_INDEX) conf.initialAuthIndex = parseInt(process.env.INITIAL_AUTH_INDEX);
+    if (process.env.INITIAL_AUTH_INDEX) conf.initialAuthIndex = Number(process.env.INITIAL_AUTH_INDEX);
     if (process.env.CAMOUFOX_EXECUTABLE_PATH) conf.browserExecutablePath = process.env.CAMOUFOX_EXECUTABLE_PATH;
+    if (process.env.BROWSER_POOL_SIZE) conf.browserPoolSize = Number(process.env.BROWSER_POOL_SIZE);
+    if (process.env.QUOTA_COOLDOWN_MS) conf.quotaCooldownMs = Number(process.env.QUOTA_COOLDOWN_MS);
+    if (process.env.AUTH_COOLDOWN_MS) conf.authCooldownMs = Number(process.env.AUTH_COOLDOWN_MS);
+    if (process.env.ACCOUNT_STATE_FILE) conf.accountStateFile = process.env.ACCOUNT_STATE_FILE;
+    if (process.env.QUEUE_MAX_WAIT) conf.queueMaxWait = Number(process.env.QUEUE_MAX_WAIT);
+    if (process.env.QUEUE_MAX_DEPTH) conf.queueMaxDepth = Number(process.env.QUEUE_MAX_DEPTH);
+    if (process.env.WATCHDOG_INTERVAL) conf.watchdogInterval = Number(process.env.WATCHDOG_INTERVAL);
+    if (process.env.WS_MISSING_THRESHOLD) conf.wsMissingThreshold = Number(process.env.WS_MISSING_THRESHOLD);
+    if (process.env.WATCHDOG_SWITCH_AFTER) conf.watchdogSwitchAfter = Number(process.env.WATCHDOG_SWITCH_AFTER);
+    if (process.env.USAGE_LOG_FILE !== undefined) conf.usageLogFile = process.env.USAGE_LOG_FILE || null;
+    if (process.env.USAGE_RETENTION_DAYS) conf.usageRetentionDays = Number(process.env.USAGE_RETENTION_DAYS);
+    if (process.env.LOG_LEVEL) conf.logLevel = process.env.LOG_LEVEL;
+    if (process.env.LOG_FORMAT) conf.logFormat = process.env.LOG_FORMAT;
+    if (process.env.LOG_FILE) conf.logFile = process.env.LOG_FILE;
+    if (process.env.LOG_MAX_SIZE) conf.logMaxSize = Number(process.env.LOG_MAX_SIZE);
+    if (process.env.LOG_MAX_FILES) conf.logMaxFiles = Number(process.env.LOG_MAX_FILES);
+    if (process.env.AUTH_EXPIRY_WARNING_DAYS) conf.authExpiryWarningDays = Number(process.env.AUTH_EXPIRY_WARNING_DAYS);
+    if (process.env.AUTH_SAVE_INTERVAL) conf.authSaveInterval = Number(process.env.AUTH_SAVE_INTERVAL);
+    if (process.env.AUTH_KEY_FILE) conf.authKeyFile = process.env.AUTH_KEY_FILE;
+    if (process.env.MAX_BODY_SIZE) conf.maxBodySize = Number(process.env.MAX_BODY_SIZE);
+    if (process.env.CONNECT_TIMEOUT) conf.connectTimeout = Number(process.env.CONNECT_TIMEOUT);
+    if (process.env.FIRST_BYTE_TIMEOUT) conf.firstByteTimeout = Number(process.env.FIRST_BYTE_TIMEOUT);
+    if (process.env.CHUNK_TIMEOUT) conf.chunkTimeout = Number(process.env.CHUNK_TIMEOUT);
+    if (process.env.TOTAL_TIMEOUT) conf.totalTimeout = Number(process.env.TOTAL_TIMEOUT);
 
     if (process.env.API_KEYS) conf.apiKeys = process.env.API_KEYS.split(',').map(k => k.trim()).filter(Boolean);
+    // 旧配置中的空字符串密钥等同于未设置
+    conf.apiKeys = [].concat(conf.apiKeys || []).filter(k => k !== '');
     
     if (process.env.IMMEDIATE_SWITCH_STATUS_CODES) {
         conf.immediateSwitchStatusCodes = process.env.IMMEDIATE_SWITCH_STATUS_CODES
             .split(',').map(c => parseInt(c)).filter(c => !isNaN(c));
     }
+    // config.json 中允许写成 [429, 503] 或 ["429,503"]
+    conf.immediateSwitchStatusCodes = [].concat(conf.immediateSwitchStatusCodes || [])
+        .flatMap(c => String(c).split(',')).map(c => parseInt(c)).filter(c => !isNaN(c));
+    // 调试模式等同于 debug 日志级别
+    if (conf.debugMode) conf.logLevel = 'debug';
 
     return conf;
   }
@@ -481,8 +3276,7 @@ class ProxyServerSystem extends EventEmitter {
   // ✅ 恢复的核心鉴权中间件
   _createAuthMiddleware() {
     return (req, res, next) => {
-      const keys = this.config.apiKeys;
-      if (!keys || keys.length === 0) return next();
+      if (!this.apiKeys.enabled) return next();
 
       // 支持多种传参方式: query param, x-goog-api-key, Authorization Bearer
       let clientKey = req.query.key || req.headers['x-goog-api-key'] || req.headers['x-api-key'];
@@ -490,8 +3284,17 @@ class ProxyServerSystem extends EventEmitter {
         clientKey = req.headers.authorization.substring(7);
       }
 
-      if (clientKey && keys.includes(clientKey)) {
+      const client = this.apiKeys.authenticate(clientKey);
+      if (client) {
         if (req.query.key) delete req.query.key; // 隐藏 key
+        const result = this.apiKeys.admit(client, this._requestedModels(req));
+        if (!result.ok) {
+          this.logger.warn(`拒绝密钥 "${client.name}" 的请求: ${result.message}`);
+          if (result.retryAfter) res.set('Retry-After', String(result.retryAfter));
+          return res.status(result.status).json({ error: { message: result.message, code: result.status } });
+        }
+        res.locals.apiKey = clientKey;
+        res.locals.client = client;
         return next();
       }
       
@@ -500,13 +3303,55 @@ class ProxyServerSystem extends EventEmitter {
     };
   }
 
+  // 请求涉及的全部模型：路径中的模型与请求体的 model 字段 (任何接口都可能带有，例如 /v1beta/openai/chat/completions、
+  // cachedContents)。路径先按浏览器 fetch 的方式规范化 (解析 ../ 与 %2e%2e)，得到的即是上游实际调用的模型。
+  // 返回 null 表示该接口无需指明模型
+  _requestedModels(req) {
+    const pathname = new URL(req.path, 'http://localhost').pathname;
+    const models = [];
+    const match = /\/models\/([^:/]+)/.exec(pathname);
+    if (match) models.push(match[1]);
+    const body = req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body) ? req.body : {};
+    // OpenAI / Anthropic 兼容接口未指定模型时使用默认模型
+    if (/^\/v1\/(chat\/completions|messages)\/?$/i.test(pathname)) models.push(translatedModelName(body));
+    else if (body.model !== undefined && body.model !== null) models.push(String(body.model));
+    if (!models.length && MODEL_FREE_PATHS.some(pattern => pattern.test(pathname))) return null;
+    return models;
+  }
+
   async start() {
+    this.configWarnings.forEach(w => this.logger.warn(`[配置] ${w}`));
+    if (this.configErrors.length) {
+      this.configErrors.forEach(e => this.logger.error(`[配置] ${e}`));
+      throw new Error('配置无效，请修正后重新启动 (可使用 --check 查看完整诊断)');
+    }
+    const exec = StartupDiagnostics.checkExecutable(this.browserMgr.browserExecutablePath);
+    if (!exec.ok) throw new Error(exec.message);
+
     const index = this.config.initialAuthIndex || this.authSource.getFirstAvailableIndex();
-    await this.browserMgr.launchBrowser(index);
+    if (this.config.browserPoolSize === 1) {
+      await this.browserMgr.launchBrowser(index);
+    } else {
+      // 从初始账号开始依次取 browserPoolSize 个账号 (0 表示全部账号)
+      const all = this.authSource.getAvailableIndices();
+      const offset = Math.max(0, all.indexOf(index));
+      const ordered = [...all.slice(offset), ...all.slice(0, offset)];
+      await this.browserMgr.launchPool(this.config.browserPoolSize > 0 ? ordered.slice(0, this.config.browserPoolSize) : ordered);
+    }
 
     const app = express();
-    app.use(express.json({ limit: '50mb' }));
-    app.use(express.raw({ type: '*/*', limit: '50mb' }));
+    // 保留原始请求体，转发时原样发送给浏览器
+    app.use(express.json({ limit: this.config.maxBodySize, verify: (req, res, buf) => { req.rawBody = buf; } }));
+    // 上传分片可能不带 Content-Type，同样按原始字节接收
+    app.use(express.raw({ type: () => true, limit: this.config.maxBodySize }));
+    // 请求体超过 maxBodySize 时返回明确的 413，而不是 express 默认的 HTML 错误页
+    app.use((err, req, res, next) => {
+      if (err.type !== 'entity.too.large') return next(err);
+      const message = `Request body too large: ${err.length ? `${err.length} bytes exceeds` : 'exceeds'} the ${err.limit} byte limit (maxBodySize)`;
+      this.logger.warn(`[请求] ${req.method} ${req.path} 请求体过大 (${err.length ?? '未知'} 字节)，已拒绝`);
+      if (req.path.startsWith('/v1/messages')) return res.status(413).json({ type: 'error', error: { type: 'request_too_large', message } });
+      res.status(413).json({ error: { message, code: 413 } });
+    });
 
     // ✅ 恢复：仪表盘重定向
     app.get('/', (req, res) => res.redirect('/dashboard'));
@@ -515,16 +3360,16 @@ class ProxyServerSystem extends EventEmitter {
     // ✅ 恢复：仪表盘 API 验证
     app.post('/dashboard/verify-key', (req, res) => {
         const { key } = req.body;
-        if (!this.config.apiKeys.length || this.config.apiKeys.includes(key)) {
+        if (this.apiKeys.isAdmin(key)) {
             return res.json({ success: true });
         }
         res.status(401).json({ success: false });
     });
 
-    // ✅ 恢复：仪表盘 API 保护中间件
+    // ✅ 恢复：仪表盘 API 保护中间件 (仅管理员密钥可访问)
     const dashboardAuth = (req, res, next) => {
         const key = req.headers['x-dashboard-auth'];
-        if (!this.config.apiKeys.length || (key && this.config.apiKeys.includes(key))) {
+        if (this.apiKeys.isAdmin(key)) {
             return next();
         }
         res.status(401).json({ error: 'Unauthorized' });
@@ -534,20 +3379,149 @@ class ProxyServerSystem extends EventEmitter {
     apiRouter.use(dashboardAuth);
     apiRouter.get('/data', (req, res) => {
       res.json({
-        status: { uptime: process.uptime(), connected: !!this.browserMgr.browser, streamingMode: this.streamingMode },
-        auth: { currentAuthIndex: this.browserMgr.currentAuthIndex, accounts: this.authSource.getAccountDetails() },
+        status: { uptime: process.uptime(), connected: this.browserMgr.isRunning(), streamingMode: this.streamingMode },
+        auth: {
+          currentAuthIndex: this.browserMgr.currentAuthIndex,
+          accounts: this.authSource.getAccountDetails(),
+          state: this.accountState.getSnapshot(),
+          health: this.authSource.getHealth(this.config.authExpiryWarningDays * DURATION_UNITS.d)
+        },
+        pool: { runningIndices: this.browserMgr.getRunningIndices(), connections: this.registry.getSummary() },
+        switch: this.switchStatus,
+        queue: { waiting: this.handler.waiting, maxDepth: this.config.queueMaxDepth },
+        events: this.events.slice(-20).reverse(),
         stats: this.stats,
+        apiKeys: this.apiKeys.getSnapshot(),
         config: this.config
       });
     });
-    apiRouter.post('/switch', async (req, res) => {
+    // 切换在后台进行，进度通过 GET /dashboard/switch 或 /dashboard/data 查询
+    apiRouter.post('/switch', (req, res) => {
+        const indices = this.authSource.getAvailableIndices();
+        let target;
+        if (req.body && req.body.index != null && req.body.index !== '') {
+            target = parseInt(req.body.index, 10);
+            if (!indices.includes(target)) {
+                return res.status(400).json({ success: false, message: `账号 #${req.body.index} 不存在，可用账号: ${indices.join(', ') || '无'}` });
+            }
+        } else {
+            target = this.handler._getNextAuthIndex();
+            if (target === null) return res.status(400).json({ success: false, message: "没有可用账号" });
+        }
+        if (this.isSwitching()) return res.status(409).json({ success: false, message: "已有切换任务在进行中", switch: this.switchStatus });
+        if (target !== this.browserMgr.currentAuthIndex && this.browserMgr.isRunning(target)) {
+            return res.status(409).json({ success: false, message: `账号 #${target} 已在运行中` });
+        }
+
+        this.browserMgr.switchAccount(target).catch(e => this.logger.error(`切换失败: ${e.message}`));
+        res.status(202).json({ success: true, message: `正在切换到账号 #${target}`, switch: this.switchStatus });
+    });
+    apiRouter.get('/switch', (req, res) => res.json(this.switchStatus));
+
+    // 实时请求与日志 (SSE)。先推送缓冲区中的历史条目，之后持续推送新条目
+    apiRouter.get('/live', (req, res) => {
+        const filter = LiveMonitor.parseFilter(req.query);
+        res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive' });
+        res.flushHeaders();
+        const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        const { requests, logs } = this.live.snapshot(filter);
+        requests.forEach(r => send('request', r));
+        logs.forEach(l => send('log', l));
+
+        const onRequest = r => { if (LiveMonitor.matchRequest(r, filter)) send('request', r); };
+        const onLog = l => { if (LiveMonitor.matchLog(l, filter)) send('log', l); };
+        this.live.on('request', onRequest);
+        this.live.on('log', onLog);
+        const ping = setInterval(() => res.write(': ping\n\n'), 15000);
+        req.on('close', () => {
+            clearInterval(ping);
+            this.live.off('request', onRequest);
+            this.live.off('log', onLog);
+        });
+    });
+
+    // 用量查询：window=1h/24h/7d 或 since/until (毫秒时间戳)，bucket=5m/1h/1d，可按 model/account/apiKey 过滤
+    apiRouter.get('/stats', (req, res) => {
+        const until = req.query.until ? Number(req.query.until) : Date.now();
+        const since = req.query.since ? Number(req.query.since) : until - parseDuration(req.query.window, DURATION_UNITS.d);
+        if (isNaN(since) || isNaN(until) || since >= until) return res.status(400).json({ error: 'Invalid time window' });
+        res.json(this.usage.query({
+            since, until,
+            bucketMs: parseDuration(req.query.bucket, undefined),
+            model: req.query.model,
+            account: req.query.account !== undefined ? parseInt(req.query.account, 10) : undefined,
+            apiKey: req.query.apiKey
+        }));
+    });
+
+    // 账号管理：上传 / 移除临时账号，或将临时账号保存到 auth 目录
+    apiRouter.post('/accounts', (req, res) => {
+        let authData = req.body.authData;
+        if (typeof authData === 'string') {
+            try { authData = JSON.parse(authData); } catch (e) { return res.status(400).json({ success: false, message: "认证数据不是合法的 JSON" }); }
+        }
+        const check = AuthSource.validateStorageState(authData);
+        if (!check.valid) return res.status(400).json({ success: false, message: check.message });
+
+        const hasIndex = req.body.index != null && req.body.index !== '';
+        const index = hasIndex ? parseInt(req.body.index, 10) : this.authSource.getNextIndex();
+        if (!Number.isInteger(index) || index < 1) return res.status(400).json({ success: false, message: "无效的账号索引" });
+
+        let result = this.authSource.addAccount(index, authData);
+        if (result.success && req.body.persist) result = this.authSource.persistAccount(index);
+        this.logger.info(`[认证] 添加账号 #${index}: ${result.message}`);
+        res.status(result.success ? 200 : 409).json({ ...result, index });
+    });
+    apiRouter.delete('/accounts/:index', (req, res) => {
+        const index = parseInt(req.params.index, 10);
+        if (this.browserMgr.isRunning(index)) return res.status(409).json({ success: false, message: "账号正在运行，请先切换到其他账号" });
+        const result = this.authSource.removeAccount(index);
+        res.status(result.success ? 200 : 400).json(result);
+    });
+    apiRouter.post('/accounts/:index/persist', (req, res) => {
+        const result = this.authSource.persistAccount(parseInt(req.params.index, 10));
+        res.status(result.success ? 200 : 400).json(result);
+    });
+    // 导出账号最新的 storageState (运行中的账号先刷新)。format=env 时输出可直接用于环境变量的 AUTH_JSON_N 行
+    apiRouter.get('/accounts/:index/auth', async (req, res) => {
+        const index = parseInt(req.params.index, 10);
+        if (this.browserMgr.isRunning(index)) await this.browserMgr.saveStorageState(index);
+        const state = this.authSource.getAuth(index);
+        if (!state) return res.status(404).json({ success: false, message: "账号不存在" });
+        if (req.query.format === 'env') {
+            return res.type('text/plain').attachment(`auth-${index}.env`).send(`AUTH_JSON_${index}=${JSON.stringify(state)}\n`);
+        }
+        res.attachment(`auth-${index}.json`).send(JSON.stringify(state, null, 2));
+    });
+    // 读取 / 整体替换 config.json。新配置校验通过后写入文件并立即热加载
+    apiRouter.get('/config', (req, res) => {
+        try {
+            res.json(this._readConfigFile());
+        } catch (e) {
+            res.status(500).json({ success: false, message: e.message });
+        }
+    });
+    apiRouter.put('/config', (req, res) => {
+        if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+            return res.status(400).json({ success: false, message: '请求体应为 JSON 对象', errors: [] });
+        }
+        const result = this.applyConfig(req.body);
+        if (!result.success) return res.status(400).json(result);
         try {
-           await this.browserMgr.switchAccount(this.handler._getNextAuthIndex());
-           res.send("Switched");
-        } catch(e) { res.status(500).send(e.message); }
+            const tmp = `${CONFIG_FILE}.tmp`;
+            fs.writeFileSync(tmp, JSON.stringify(req.body, null, 2) + '\n');
+            fs.renameSync(tmp, CONFIG_FILE);
+        } catch (e) {
+            return res.status(500).json({ ...result, success: false, message: `配置已生效，但写入 ${CONFIG_FILE} 失败: ${e.message}` });
+        }
+        res.json(result);
     });
+
     apiRouter.post('/config', (req, res) => {
         if(req.body.streamingMode) {
+            if (!CONFIG_SCHEMA.streamingMode.enum.includes(req.body.streamingMode)) {
+                return res.status(400).json({ success: false, message: `streamingMode 只能是 ${CONFIG_SCHEMA.streamingMode.enum.join(' / ')}` });
+            }
             this.config.streamingMode = req.body.streamingMode;
             this.streamingMode = req.body.streamingMode;
         }
@@ -559,6 +3533,30 @@ class ProxyServerSystem extends EventEmitter {
 
     // ✅ 恢复：主代理路由鉴权
     app.use(this._createAuthMiddleware());
+
+    // Prometheus 抓取端点，与其他接口使用相同的 API Key 鉴权 (可在抓取配置中使用 Bearer 令牌)
+    app.get('/metrics', (req, res) => {
+      res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8').send(this.metrics.render());
+    });
+
+    // OpenAI 兼容接口：在服务端完成与 Gemini 格式的双向转换
+    app.post('/v1/chat/completions', (req, res) => {
+      if (!req.body || !Array.isArray(req.body.messages)) {
+        return res.status(400).json({ error: { message: "'messages' is required", type: 'invalid_request_error', code: 400 } });
+      }
+      this.handler.processTranslatedRequest(req, res, new OpenAITranslator(req.body));
+    });
+    app.get('/v1/models', (req, res) => this.handler.processTranslatedRequest(req, res, new OpenAIModelsTranslator()));
+    app.get('/v1/models/:model', (req, res) => this.handler.processTranslatedRequest(req, res, new OpenAIModelsTranslator(req.params.model)));
+
+    // Anthropic Messages 兼容接口
+    app.post('/v1/messages', (req, res) => {
+      if (!req.body || !Array.isArray(req.body.messages)) {
+        return res.status(400).json({ type: 'error', error: { type: 'invalid_request_error', message: "'messages' is required" } });
+      }
+      this.handler.processTranslatedRequest(req, res, new AnthropicTranslator(req.body));
+    });
+
     app.all('*', (req, res) => {
       if (req.path.startsWith('/dashboard')) return; // 防止意外匹配
       this.handler.processRequest(req, res);
@@ -566,8 +3564,16 @@ class ProxyServerSystem extends EventEmitter {
 
     this.httpServer = http.createServer(app).listen(this.config.httpPort, this.config.host);
     this.wsServer = new WebSocket.Server({ port: this.config.wsPort, host: this.config.host });
-    this.wsServer.on('connection', (ws, req) => this.registry.addConnection(ws, { address: req.socket.remoteAddress }));
+    this.wsServer.on('connection', (ws, req) => {
+      // 浏览器端脚本通过 ?account=N 标识自己所属的账号
+      const account = new URL(req.url, 'ws://localhost').searchParams.get('account');
+      const authIndex = account !== null && account !== '' && !isNaN(account) ? parseInt(account, 10) : null;
+      this.registry.addConnection(ws, { address: req.socket.remoteAddress, authIndex });
+    });
 
+    this.watchdog.start();
+    this.browserMgr.startAutoSave();
+    this._watchConfig();
     this.logger.info(`系统启动完成: http://${this.config.host}:${this.config.httpPort}`);
   }
 
@@ -576,7 +3582,8 @@ class ProxyServerSystem extends EventEmitter {
     return `<!DOCTYPE html><html lang="zh"><head><meta charset="UTF-8"><title>Proxy Dashboard</title>
     <meta name="viewport" content="width=device-width, initial-scale=1">
     <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/@picocss/pico@1/css/pico.min.css">
-    <style>body{padding:20px;max-width:800px;margin:0 auto} .card{padding:20px;margin-bottom:20px;border:1px solid #333;border-radius:8px} .hidden{display:none}</style>
+    <style>body{padding:20px;max-width:800px;margin:0 auto} .card{padding:20px;margin-bottom:20px;border:1px solid #333;border-radius:8px} .hidden{display:none}
+    #liveLogs{max-height:320px;overflow:auto;font-size:12px;white-space:pre-wrap} .log-warn{color:#d97706} .log-error{color:#dc2626} .log-debug{opacity:.6}</style>
     </head><body>
     
     <div id="loginLayer">
@@ -608,7 +3615,75 @@ class ProxyServerSystem extends EventEmitter {
         </div>
         <article>
           <header>账号池</header>
-          <div id="accounts"></div>
+          <figure><table role="grid">
+            <thead><tr><th>账号</th><th>来源</th><th>认证</th><th>今日请求</th><th>状态</th><th>操作</th></tr></thead>
+            <tbody id="accounts"></tbody>
+          </table></figure>
+        </article>
+        <article>
+          <header>添加账号</header>
+          <input type="file" id="authFile" accept=".json,application/json">
+          <div class="grid">
+            <input type="number" id="authIndex" min="1" placeholder="账号索引 (留空自动分配)">
+            <label><input type="checkbox" id="authPersist"> 同时保存到 auth 目录</label>
+          </div>
+          <button onclick="uploadAccount()">⬆️ 上传</button>
+        </article>
+        <article>
+          <header>浏览器连接</header>
+          <div id="connections"></div>
+        </article>
+        <article>
+          <header>API 密钥</header>
+          <figure><table role="grid">
+            <thead><tr><th>名称</th><th>权限</th><th>每分钟</th><th>今日 Tokens</th><th>到期</th></tr></thead>
+            <tbody id="apiKeys"></tbody>
+          </table></figure>
+        </article>
+        <article>
+          <header>用量 (24 小时)</header>
+          <div id="usageTotals"></div>
+          <figure><table role="grid">
+            <thead><tr><th>模型</th><th>请求</th><th>错误</th><th>平均延迟</th><th>Tokens</th></tr></thead>
+            <tbody id="usageModels"></tbody>
+          </table></figure>
+        </article>
+        <article>
+          <header>实时请求与日志</header>
+          <div class="grid">
+            <select id="liveStatus" onchange="startLive()">
+              <option value="">全部状态</option>
+              <option value="2xx">2xx</option>
+              <option value="4xx">4xx</option>
+              <option value="5xx">5xx</option>
+              <option value="error">仅错误</option>
+            </select>
+            <input type="number" id="liveAccount" min="1" placeholder="账号 (留空为全部)" onchange="startLive()">
+            <select id="liveLevel" onchange="startLive()">
+              <option value="debug">debug</option>
+              <option value="info" selected>info</option>
+              <option value="warn">warn</option>
+              <option value="error">error</option>
+            </select>
+          </div>
+          <figure><table role="grid">
+            <thead><tr><th>时间</th><th>请求</th><th>模型</th><th>账号</th><th>状态</th><th>延迟</th><th>重试</th></tr></thead>
+            <tbody id="liveRequests"></tbody>
+          </table></figure>
+          <pre id="liveLogs"></pre>
+        </article>
+        <article>
+          <header>配置文件 (config.json)</header>
+          <textarea id="configEditor" rows="12" style="font-family:monospace;font-size:12px"></textarea>
+          <div class="grid">
+            <button class="secondary" onclick="loadConfig()">重新读取</button>
+            <button onclick="saveConfig()">💾 保存并应用</button>
+          </div>
+          <small id="configResult"></small>
+        </article>
+        <article>
+          <header>系统事件</header>
+          <small id="events"></small>
         </article>
     </div>
 
@@ -634,6 +3709,8 @@ class ProxyServerSystem extends EventEmitter {
                   document.getElementById('mainLayer').classList.remove('hidden');
                   refresh();
                   setInterval(refresh, 2000);
+                  startLive();
+                  loadConfig();
               } else {
                   alert('密钥无效');
                   localStorage.removeItem(KEY_STORAGE);
@@ -641,6 +3718,14 @@ class ProxyServerSystem extends EventEmitter {
           } catch(e) { alert('连接失败'); }
       }
 
+      const SWITCH_STAGES = {
+          closing: '关闭旧浏览器', launching: '启动浏览器', page_loaded: '页面已加载', editor_opened: '编辑器已打开',
+          script_injected: '脚本已注入', preview_opened: '预览已打开', waiting_ws: '等待连接', ws_connected: '✅ 已连接',
+          ws_timeout: '❌ 连接超时', failed: '❌ 失败'
+      };
+
+      const AUTH_HEALTH = { valid: '✅ 有效', expiring: '⚠️ 即将过期', expired: '❌ 已过期', invalid: '❌ 无效' };
+
       function getHeaders() { return {'X-Dashboard-Auth': currentKey, 'Content-Type': 'application/json'}; }
 
       async function refresh() {
@@ -653,20 +3738,190 @@ class ProxyServerSystem extends EventEmitter {
               '运行时间: ' + Math.floor(data.status.uptime) + 's<br>' +
               '浏览器: ' + (data.status.connected ? '✅ 已连接' : '❌ 断开') + '<br>' +
               '当前账号: ' + data.auth.currentAuthIndex + '<br>' + 
+              '运行中账号: ' + (data.pool.runningIndices.join(', ') || '无') + '<br>' +
+              (data.switch.to !== null ? '切换: #' + data.switch.from + ' → #' + data.switch.to + ' · ' +
+                (SWITCH_STAGES[data.switch.stage] || esc(data.switch.stage) || '准备中') +
+                (data.switch.error ? ' (' + esc(data.switch.error) + ')' : '') + '<br>' : '') +
+              '排队请求: ' + data.queue.waiting + ' / ' + data.queue.maxDepth + '<br>' +
               '总调用: ' + data.stats.totalCalls;
             
             document.getElementById('modeSelect').value = data.config.streamingMode;
             
-            const accHtml = data.auth.accounts.map(a => 
-                '<mark>' + a.index + ' (' + a.source + ')</mark>'
-            ).join(' ');
+            const running = data.pool.runningIndices;
+            const accHtml = data.auth.accounts.map(a => {
+                const st = data.auth.state[a.index];
+                let status = running.includes(a.index) ? '🟢 运行中' : '⚪ 空闲';
+                if (st && st.coolingDown) status += ' ❄️ ' + Math.ceil(st.cooldownRemainingMs / 1000) + 's';
+                if (st && st.consecutiveFailures) status += ' ⚠️ ' + st.consecutiveFailures;
+                const today = st ? Object.values(st.daily.models).reduce((x, y) => x + y, 0) : 0;
+                const health = data.auth.health[a.index];
+                const auth = st && st.needsReauth ? '🔑 需重新登录' : (AUTH_HEALTH[health.status] || health.status);
+                const title = st && st.lastError ? esc('HTTP ' + st.lastError.status + ': ' + st.lastError.message) : '';
+                let actions = '<a href="#" onclick="switchAccount(' + a.index + ');return false">切换</a>' +
+                    ' · <a href="#" onclick="exportAccount(' + a.index + ', ' + (a.source === 'env') + ');return false" title="' +
+                    (a.refreshedAt ? '最近刷新: ' + new Date(a.refreshedAt).toLocaleString() : '尚未刷新') + '">导出</a>';
+                if (a.source === 'temporary') {
+                    actions += ' · <a href="#" onclick="persistAccount(' + a.index + ');return false">保存</a>' +
+                        ' · <a href="#" onclick="removeAccount(' + a.index + ');return false">移除</a>';
+                }
+                return '<tr title="' + title + '"><td>#' + a.index + '</td><td>' + a.source + '</td><td title="' + esc(st && st.needsReauth ? st.needsReauth.reason : health.message) + '">' + auth + '</td><td>' + today + '</td><td>' + status + '</td><td>' + actions + '</td></tr>';
+            }).join('');
             document.getElementById('accounts').innerHTML = accHtml;
+
+            const connHtml = data.pool.connections.map(c =>
+                '<mark>#' + c.authIndex + ' · ' + c.inFlight + ' 进行中</mark>'
+            ).join(' ');
+            document.getElementById('connections').innerHTML = connHtml || '无连接';
+
+            document.getElementById('apiKeys').innerHTML = data.apiKeys.map(k =>
+                '<tr><td>' + esc(k.name) + '</td><td>' + (k.admin ? '管理员' : '') + (k.models.length ? ' ' + esc(k.models.join(', ')) : (k.admin ? '' : '全部模型')) + '</td>' +
+                '<td>' + k.usage.requestsLastMinute + (k.rpm ? ' / ' + k.rpm : '') + '</td>' +
+                '<td>' + k.usage.tokensToday + (k.tokensPerDay ? ' / ' + k.tokensPerDay : '') + '</td>' +
+                '<td>' + (k.expiresAt ? (k.expired ? '❌ ' : '') + new Date(k.expiresAt).toLocaleString() : '永久') + '</td></tr>'
+            ).join('') || '<tr><td colspan="5">未配置密钥，接口对所有人开放</td></tr>';
+
+            document.getElementById('events').innerHTML = data.events.map(e =>
+                new Date(e.at).toLocaleTimeString() + ' [' + esc(e.type) + '] ' + esc(e.message)
+            ).join('<br>') || '暂无事件';
+        } catch(e) {}
+        refreshUsage();
+      }
+
+      async function refreshUsage() {
+        try {
+            const res = await fetch('/dashboard/stats?window=24h', {headers: getHeaders()});
+            const u = await res.json();
+            document.getElementById('usageTotals').innerHTML =
+              '请求: ' + u.totals.requests + ' · 错误: ' + u.totals.errors +
+              ' · 平均延迟: ' + u.totals.avgLatencyMs + 'ms · Tokens: ' + u.totals.totalTokens;
+            document.getElementById('usageModels').innerHTML = Object.entries(u.byModel).map(([m, a]) =>
+              '<tr><td>' + esc(m) + '</td><td>' + a.requests + '</td><td>' + a.errors + '</td><td>' + a.avgLatencyMs + 'ms</td><td>' + a.totalTokens + '</td></tr>'
+            ).join('');
+        } catch(e) {}
+      }
+
+      function esc(s) {
+        return String(s ?? '').replace(/[&<>"']/g, c => ({'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'}[c]));
+      }
+
+      // EventSource 无法携带鉴权头，这里用 fetch 读取 SSE 流；连接断开 3 秒后自动重连
+      let liveController = null;
+      async function startLive() {
+        if (liveController) liveController.abort();
+        const controller = liveController = new AbortController();
+        const params = new URLSearchParams({
+            status: document.getElementById('liveStatus').value,
+            account: document.getElementById('liveAccount').value,
+            level: document.getElementById('liveLevel').value
+        });
+        document.getElementById('liveRequests').innerHTML = '';
+        document.getElementById('liveLogs').innerHTML = '';
+        try {
+            const res = await fetch('/dashboard/live?' + params, {headers: getHeaders(), signal: controller.signal});
+            const reader = res.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+            while (true) {
+                const {done, value} = await reader.read();
+                if (done) break;
+                buffer += decoder.decode(value, {stream: true});
+                const blocks = buffer.split('\\n\\n');
+                buffer = blocks.pop();
+                blocks.forEach(handleLiveEvent);
+            }
         } catch(e) {}
+        if (liveController === controller && !controller.signal.aborted) setTimeout(startLive, 3000);
+      }
+
+      function handleLiveEvent(block) {
+        const event = (block.match(/^event: (.*)$/m) || [])[1];
+        const data = (block.match(/^data: (.*)$/m) || [])[1];
+        if (!event || !data) return;
+        const item = JSON.parse(data);
+        if (event === 'request') {
+            const tbody = document.getElementById('liveRequests');
+            const ok = item.status < 400 && !item.error;
+            tbody.insertAdjacentHTML('afterbegin',
+              '<tr title="' + esc(item.error || item.id) + '"><td>' + new Date(item.at).toLocaleTimeString() + '</td>' +
+              '<td>' + esc(item.method + ' ' + item.path) + '</td><td>' + esc(item.model || '-') + '</td>' +
+              '<td>' + (item.authIndex != null ? '#' + item.authIndex : '-') + '</td>' +
+              '<td>' + (ok ? '🟢 ' : '🔴 ') + item.status + '</td><td>' + item.latencyMs + 'ms</td><td>' + item.retries + '</td></tr>');
+            while (tbody.rows.length > 100) tbody.deleteRow(-1);
+        } else if (event === 'log') {
+            const pre = document.getElementById('liveLogs');
+            pre.insertAdjacentHTML('afterbegin', '<div class="log-' + item.level + '">' +
+              new Date(item.time).toLocaleTimeString() + ' [' + esc(item.module) + ']' +
+              (item.requestId ? ' [' + esc(item.requestId) + ']' : '') + ' ' + esc(item.msg) + '</div>');
+            while (pre.children.length > 300) pre.lastChild.remove();
+        }
+      }
+
+      async function switchAccount(index) {
+        const res = await fetch('/dashboard/switch', {method:'POST', headers: getHeaders(), body: JSON.stringify(index != null ? {index} : {})});
+        if (!res.ok) alert((await res.json()).message);
+        refresh();
+      }
+
+      async function uploadAccount() {
+        const file = document.getElementById('authFile').files[0];
+        if (!file) return alert('请选择认证文件');
+        const res = await fetch('/dashboard/accounts', {
+            method: 'POST',
+            headers: getHeaders(),
+            body: JSON.stringify({
+                authData: await file.text(),
+                index: document.getElementById('authIndex').value,
+                persist: document.getElementById('authPersist').checked
+            })
+        });
+        const data = await res.json();
+        alert(data.message + (data.index ? ' (#' + data.index + ')' : ''));
+        refresh();
+      }
+
+      async function removeAccount(index) {
+        if (!confirm('确定移除临时账号 #' + index + '?')) return;
+        const res = await fetch('/dashboard/accounts/' + index, {method: 'DELETE', headers: getHeaders()});
+        alert((await res.json()).message);
+        refresh();
+      }
+
+      // 下载需要携带鉴权头，因此先取回内容再生成下载链接
+      async function exportAccount(index, asEnv) {
+        const format = asEnv ? 'env' : 'json';
+        const res = await fetch('/dashboard/accounts/' + index + '/auth?format=' + format, {headers: getHeaders()});
+        if (!res.ok) return alert((await res.json()).message);
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(await res.blob());
+        link.download = 'auth-' + index + (format === 'env' ? '.env' : '.json');
+        link.click();
+        URL.revokeObjectURL(link.href);
+      }
+
+      async function persistAccount(index) {
+        const res = await fetch('/dashboard/accounts/' + index + '/persist', {method: 'POST', headers: getHeaders()});
+        alert((await res.json()).message);
+        refresh();
+      }
+
+      async function loadConfig() {
+        const res = await fetch('/dashboard/config', {headers: getHeaders()});
+        document.getElementById('configEditor').value = JSON.stringify(await res.json(), null, 2);
+        document.getElementById('configResult').innerHTML = '';
       }
 
-      async function switchAccount() {
-        await fetch('/dashboard/switch', {method:'POST', headers: getHeaders()});
-        setTimeout(refresh, 1000);
+      async function saveConfig() {
+        const out = document.getElementById('configResult');
+        let body;
+        try { body = JSON.parse(document.getElementById('configEditor').value); }
+        catch(e) { out.innerHTML = '❌ JSON 格式错误: ' + esc(e.message); return; }
+        const res = await fetch('/dashboard/config', {method: 'PUT', headers: getHeaders(), body: JSON.stringify(body)});
+        const data = await res.json();
+        out.innerHTML = (data.success ? '✅ ' : '❌ ') + esc(data.message) +
+          (data.errors && data.errors.length ? '<br>' + data.errors.map(esc).join('<br>') : '') +
+          (data.applied && data.applied.length ? '<br>已生效: ' + esc(data.applied.join(', ')) : '') +
+          (data.requiresRestart && data.requiresRestart.length ? '<br>需要重启: ' + esc(data.requiresRestart.join(', ')) : '');
+        refresh();
       }
 
       async function changeMode(mode) {
@@ -685,8 +3940,21 @@ class ProxyServerSystem extends EventEmitter {
   }
 }
 
-if (require.main === module) new ProxyServerSystem().start();
-module.exports = { ProxyServerSystem };
+if (require.main === module) {
+  const system = new ProxyServerSystem();
+  if (process.argv.includes('--check')) {
+    new StartupDiagnostics(system).run().then(({ ok }) => process.exit(ok ? 0 : 1));
+  } else {
+    system.start().catch(e => {
+      system.logger.error(`启动失败: ${e.message}`);
+      process.exit(1);
+    });
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+      process.once(signal, () => system.shutdown().finally(() => process.exit(0)));
+    }
+  }
+}
+module.exports = { ProxyServerSystem, AuthSource, AuthCipher };
 
 
 